@@ -0,0 +1,154 @@
+/* eslint-disable no-console */
+/**
+ * Benchmark of the input framing: the incremental MessageFramer against the
+ * brace scanner it replaced, which concatenated every chunk and re-decoded
+ * and rescanned the whole buffer for each message.
+ *
+ * Run with `npm run bench`.
+ */
+
+import { MessageFramer } from '../src/messageFramer.js'
+
+const CHUNK_SIZE = 64 * 1024
+
+/**
+ * The previous robust parser, reduced to its framing work
+ */
+class LegacyFramer {
+  constructor() {
+    this.inputBuffer = Buffer.alloc(0)
+  }
+
+  push(chunk) {
+    this.inputBuffer = Buffer.concat([this.inputBuffer, chunk])
+  }
+
+  read() {
+    if (this.inputBuffer.length < 4) {
+      return null
+    }
+
+    const text = this.inputBuffer.slice(4).toString('utf8')
+    const openBrace = text.indexOf('{')
+    if (openBrace === -1) {
+      return null
+    }
+
+    let braceCount = 0
+    let inString = false
+    let escapeNext = false
+
+    for (let i = openBrace; i < text.length; i++) {
+      const char = text[i]
+      if (escapeNext) {
+        escapeNext = false
+        continue
+      }
+      if (char === '\\') {
+        escapeNext = true
+        continue
+      }
+      if (char === '"') {
+        inString = !inString
+        continue
+      }
+      if (!inString) {
+        if (char === '{') {
+          braceCount++
+        } else if (char === '}' && --braceCount === 0) {
+          const body = text.substring(openBrace, i + 1)
+          this.inputBuffer = this.inputBuffer.slice(
+            4 + Buffer.byteLength(text.substring(0, i + 1))
+          )
+          return { body }
+        }
+      }
+    }
+
+    return null
+  }
+}
+
+const frame = (message) => {
+  const json = JSON.stringify(message)
+  const buf = Buffer.alloc(4 + Buffer.byteLength(json))
+  buf.writeUInt32LE(Buffer.byteLength(json), 0)
+  buf.write(json, 4)
+  return buf
+}
+
+const split = (buffer, size) => {
+  const chunks = []
+  for (let i = 0; i < buffer.length; i += size) {
+    chunks.push(buffer.subarray(i, i + size))
+  }
+  return chunks
+}
+
+const vaultImport = {
+  id: 'import-1',
+  command: 'activeVaultAdd',
+  params: {
+    records: Array.from({ length: 3150 }, (_, i) => ({
+      id: `record-${i}`,
+      type: 'login',
+      data: { title: `Site ${i}`, username: 'user', note: 'n'.repeat(200) }
+    }))
+  }
+}
+
+const scenarios = [
+  {
+    name: '900 KB vault import in 64 KB chunks',
+    chunks: split(frame(vaultImport), CHUNK_SIZE),
+    messages: 1,
+    iterations: 20
+  },
+  {
+    name: '2000 small messages in 64 KB chunks',
+    chunks: split(
+      Buffer.concat(
+        Array.from({ length: 2000 }, (_, i) =>
+          frame({ id: `${i}`, command: 'vaultsGetStatus', params: {} })
+        )
+      ),
+      CHUNK_SIZE
+    ),
+    messages: 2000,
+    iterations: 20
+  }
+]
+
+const run = (createFramer, { chunks, messages, iterations }) => {
+  const start = performance.now()
+
+  for (let n = 0; n < iterations; n++) {
+    const framer = createFramer()
+    let received = 0
+    for (const chunk of chunks) {
+      framer.push(chunk)
+      while (framer.read()) {
+        received++
+      }
+    }
+    if (received !== messages) {
+      throw new Error(`Expected ${messages} messages, got ${received}`)
+    }
+  }
+
+  return (performance.now() - start) / iterations
+}
+
+for (const scenario of scenarios) {
+  const bytes = scenario.chunks.reduce(
+    (total, chunk) => total + chunk.length,
+    0
+  )
+  const legacy = run(() => new LegacyFramer(), scenario)
+  const framer = run(() => new MessageFramer(), scenario)
+
+  console.log(`${scenario.name} (${(bytes / 1024).toFixed(0)} KB)`)
+  console.log(`  brace scanner:  ${legacy.toFixed(2)} ms`)
+  console.log(`  MessageFramer:  ${framer.toFixed(2)} ms`)
+  console.log(`  speedup:        ${(legacy / framer).toFixed(1)}x`)
+}
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+// Entry point launched by the browser - starts the native messaging host on stdio
+
+import { NativeMessagingHost } from '../src/nativeMessagingHost.js'
+import { flushLogs, log } from '../src/utils/log.js'
+
+// Log early to verify logging works
+log('INFO', 'Native messaging host script started')
+
+// Create and start the host
+const host = new NativeMessagingHost()
+
+// Graceful shutdown, writing out any queued responses first
+process.on('SIGINT', () => {
+  host.shutdown().finally(() => process.exit(0))
+})
+
+process.on('SIGTERM', () => {
+  host.shutdown().finally(() => process.exit(0))
+})
+
+process.on('uncaughtException', (error) => {
+  log('ERROR', 'Uncaught exception: ' + error.message)
+  log('ERROR', 'Stack trace: ' + error.stack)
+  host.stop()
+  flushLogs().finally(() => process.exit(1))
+})
+
+process.on('unhandledRejection', (reason, promise) => {
+  log('ERROR', 'Unhandled rejection at: ' + promise + ' reason: ' + reason)
+  host.stop()
+  flushLogs().finally(() => process.exit(1))
+})
+
+// Start the host
+log('INFO', 'About to start host...')
+host.start().catch((error) => {
+  log('ERROR', 'Failed to start host: ' + error.message)
+  log('ERROR', 'Stack trace: ' + error.stack)
+  flushLogs().finally(() => process.exit(1))
+})
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+// Installs, removes or verifies the native messaging host manifests
+//
+// Usage: pearpass-native-messaging-install <install|uninstall|verify>
+//          [--launcher <path>] [--browsers chrome,firefox] [--home <dir>]
+//          [--extension-id <id>]... [--force]
+
+import { BROWSER_FAMILIES } from '../src/constants/allowedExtensions.js'
+import {
+  installManifests,
+  uninstallManifests,
+  verifyManifests
+} from '../src/manifestInstaller.js'
+
+const USAGE =
+  'Usage: pearpass-native-messaging-install <install|uninstall|verify> [--launcher <path>] [--browsers chrome,firefox] [--home <dir>] [--extension-id <id>]... [--force]'
+
+/**
+ * @param {string[]} args
+ * @returns {{command: string, options: Object}}
+ */
+const parseArgs = (args) => {
+  const [command, ...rest] = args
+  const options = {}
+  const extensionIds = []
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i]
+    // Value of an option, e.g. the path after --launcher
+    const value = () => {
+      const next = rest[++i]
+      if (next === undefined || next.startsWith('--')) {
+        throw new Error(`Missing value for ${arg}\n${USAGE}`)
+      }
+      return next
+    }
+
+    switch (arg) {
+      case '--launcher':
+        options.launcherPath = value()
+        break
+      case '--browsers':
+        options.browsers = value().split(',').filter(Boolean)
+        break
+      case '--home':
+        options.homeDir = value()
+        break
+      case '--extension-id':
+        extensionIds.push(value())
+        break
+      case '--force':
+        options.force = true
+        break
+      default:
+        throw new Error(`Unknown option: ${arg}\n${USAGE}`)
+    }
+  }
+
+  if (extensionIds.length > 0) {
+    // Chromium IDs are 32 letters a-p; anything else is a Firefox add-on ID
+    const isChromiumId = (id) => /^[a-p]{32}$/.test(id)
+    options.extensionIds = {
+      [BROWSER_FAMILIES.CHROMIUM]: extensionIds.filter(isChromiumId),
+      [BROWSER_FAMILIES.FIREFOX]: extensionIds.filter((id) => !isChromiumId(id))
+    }
+  }
+
+  return { command, options }
+}
+
+try {
+  const { command, options } = parseArgs(process.argv.slice(2))
+  let results = null
+
+  if (command === 'install') {
+    results = installManifests(options)
+  } else if (command === 'uninstall') {
+    results = uninstallManifests(options)
+  } else if (command === 'verify') {
+    results = verifyManifests(options)
+  } else {
+    throw new Error(USAGE)
+  }
+
+  // eslint-disable-next-line no-console
+  console.log(JSON.stringify(results, null, 2))
+
+  if (command === 'verify' && !results.some((r) => !r.error)) {
+    process.exit(1)
+  }
+} catch (error) {
+  // eslint-disable-next-line no-console
+  console.error(error.message)
+  process.exit(1)
+}
@@ -1 +1,86 @@
-import './src/bridge.js'
+export { NativeMessagingHost } from './src/nativeMessagingHost.js'
+export { NativeMessagingHandler } from './src/nativeMessagingHandler.js'
+export {
+  DESKTOP_APP_STATUS,
+  STATUS_HINTS,
+  STATUS_MESSAGES
+} from './src/constants/desktopAppStatus.js'
+export { MESSAGE_LIMITS } from './src/constants/messageLimits.js'
+export {
+  ChunkReassembler,
+  createChunkFrames,
+  isChunkFrame
+} from './src/messageChunking.js'
+export {
+  COMPRESSION_ENCODINGS,
+  compressMessage,
+  decompressMessage,
+  isCompressedMessage
+} from './src/messageCompression.js'
+export { BATCH_MODES, isBatchMessage } from './src/batchRequests.js'
+export {
+  ERROR_CODES,
+  isRetryableErrorCode
+} from './src/constants/errorCodes.js'
+export { createErrorResponse } from './src/nativeMessagingProtocol.js'
+export { JSON_RPC_ERROR_CODES, JSON_RPC_VERSION } from './src/jsonRpc.js'
+export {
+  BRIDGE_CAPABILITIES,
+  BRIDGE_VERSION,
+  MIN_PROTOCOL_VERSION,
+  PROTOCOL_VERSION
+} from './src/constants/protocol.js'
+export { createBridgeError } from './src/utils/createBridgeError.js'
+export {
+  IPC_CALL_TIMEOUTS,
+  TIMEOUT_CLASSES,
+  TIMEOUTS
+} from './src/constants/timeouts.js'
+export {
+  COMMAND_CATEGORIES,
+  COMMAND_DEFINITIONS,
+  COMMAND_NAMES,
+  DEFAULT_PARAMS_SCHEMA,
+  PUSH_DEFINITIONS,
+  describeCommands,
+  getCommandAccess,
+  getCommandDefinition,
+  getCommandTimeout,
+  getParamsSchema,
+  getPushEventName,
+  isValidCommand
+} from './src/constants/commandDefinitions.js'
+export {
+  ACCESS_LEVELS,
+  SESSION_STATES
+} from './src/constants/sessionPolicy.js'
+export { LOG_DESTINATIONS, LOG_LEVELS } from './src/constants/logging.js'
+export {
+  configureLogging,
+  flushLogs,
+  getLogConfig,
+  loadLogConfig
+} from './src/utils/log.js'
+export { LogFileWriter } from './src/utils/logFileWriter.js'
+export { validateParams } from './src/utils/validateParams.js'
+export {
+  EventSubscriptions,
+  PUSH_EVENT_NAMES
+} from './src/eventSubscriptions.js'
+export {
+  ALLOWED_EXTENSIONS,
+  BROWSER_FAMILIES
+} from './src/constants/allowedExtensions.js'
+export {
+  getAllowedExtensions,
+  isCallerAllowed,
+  parseCallerIdentity
+} from './src/utils/callerIdentity.js'
+export { BROWSERS, NATIVE_HOST_NAME } from './src/constants/browsers.js'
+export {
+  createManifest,
+  getManifestPath,
+  installManifests,
+  uninstallManifests,
+  verifyManifests
+} from './src/manifestInstaller.js'
@@ -0,0 +1,83 @@
+/**
+ * Batch messages: several requests answered by a single response
+ */
+
+import { ERROR_CODES } from './constants/errorCodes.js'
+import { MESSAGE_LIMITS } from './constants/messageLimits.js'
+import { createBridgeError } from './utils/createBridgeError.js'
+
+// How the requests of a batch are run
+export const BATCH_MODES = Object.freeze({
+  PARALLEL: 'parallel',
+  SEQUENTIAL: 'sequential'
+})
+
+/**
+ * @typedef {Object} Batch
+ * @property {string|number|null} id - Id of the batch response; null for the array form
+ * @property {string} mode - One of BATCH_MODES
+ * @property {Object[]} requests - The batched requests, each with its own id
+ */
+
+/**
+ * Check if a message is a batch, either an array of requests or a
+ * `{ id, batch: [...], mode }` message
+ * @param {*} message - The message to check
+ * @returns {boolean}
+ */
+export const isBatchMessage = (message) =>
+  Array.isArray(message) ||
+  (!!message && typeof message === 'object' && Array.isArray(message.batch))
+
+/**
+ * Validate a batch message. Throws with errorCode `INVALID_MESSAGE` if the
+ * batch is empty, too large, has an unknown mode, or a request without a
+ * unique id.
+ * @param {Object[]|{id?: string|number, batch: Object[], mode?: string}} message
+ * @returns {Batch}
+ */
+export const parseBatch = (message) => {
+  const {
+    id = null,
+    batch: requests,
+    mode = BATCH_MODES.PARALLEL
+  } = Array.isArray(message) ? { batch: message } : message
+
+  const fail = (reason) => {
+    throw createBridgeError(
+      ERROR_CODES.INVALID_MESSAGE,
+      `Invalid batch: ${reason}`
+    )
+  }
+
+  if (!Object.values(BATCH_MODES).includes(mode)) {
+    fail(`mode must be one of ${Object.values(BATCH_MODES).join(', ')}`)
+  }
+  if (requests.length === 0) {
+    fail('no requests')
+  }
+  if (requests.length > MESSAGE_LIMITS.MAX_BATCH_SIZE) {
+    fail(
+      `${requests.length} requests exceed the limit of ${MESSAGE_LIMITS.MAX_BATCH_SIZE}`
+    )
+  }
+
+  const ids = new Set()
+  requests.forEach((request, index) => {
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      fail(`request ${index} is not an object`)
+    }
+    if (isBatchMessage(request)) {
+      fail(`request ${index} is a nested batch`)
+    }
+    if (!['string', 'number'].includes(typeof request.id)) {
+      fail(`request ${index} has no id`)
+    }
+    if (ids.has(request.id)) {
+      fail(`duplicate request id ${request.id}`)
+    }
+    ids.add(request.id)
+  })
+
+  return { id, mode, requests }
+}
@@ -0,0 +1,53 @@
+import { BATCH_MODES, isBatchMessage, parseBatch } from './batchRequests'
+
+describe('batchRequests', () => {
+  const requests = [
+    { id: 'a', command: 'encryptionGetStatus' },
+    { id: 2, command: 'vaultsGetStatus' }
+  ]
+
+  test('isBatchMessage recognises both batch forms', () => {
+    expect(isBatchMessage(requests)).toBe(true)
+    expect(isBatchMessage({ id: 'b', batch: requests })).toBe(true)
+    expect(isBatchMessage({ id: 'c', command: 'vaultsList' })).toBe(false)
+    expect(isBatchMessage(null)).toBe(false)
+  })
+
+  test('parseBatch defaults the id and mode of an array', () => {
+    expect(parseBatch(requests)).toEqual({
+      id: null,
+      mode: BATCH_MODES.PARALLEL,
+      requests
+    })
+  })
+
+  test('parseBatch reads the id and mode of a batch message', () => {
+    expect(
+      parseBatch({ id: 'b', batch: requests, mode: 'sequential' })
+    ).toEqual({ id: 'b', mode: BATCH_MODES.SEQUENTIAL, requests })
+  })
+
+  test.each([
+    [
+      { batch: requests, mode: 'random' },
+      'mode must be one of parallel, sequential'
+    ],
+    [[], 'no requests'],
+    [
+      Array.from({ length: 33 }, (_, id) => ({ id })),
+      '33 requests exceed the limit of 32'
+    ],
+    [[null], 'request 0 is not an object'],
+    [[{ id: 1 }, [{ id: 2 }]], 'request 1 is not an object'],
+    [[{ id: 1, batch: [] }], 'request 0 is a nested batch'],
+    [[{ command: 'vaultsList' }], 'request 0 has no id'],
+    [[{ id: 1 }, { id: 1 }], 'duplicate request id 1']
+  ])('parseBatch rejects %j', (message, reason) => {
+    expect(() => parseBatch(message)).toThrow(
+      expect.objectContaining({
+        errorCode: 'INVALID_MESSAGE',
+        message: `Invalid batch: ${reason}`
+      })
+    )
+  })
+})
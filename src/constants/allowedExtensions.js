@@ -0,0 +1,27 @@
+/**
+ * Browser extensions allowed to launch the native messaging bridge, by
+ * browser family. The published store and dev build IDs belong here; the
+ * bridge and the installer read them by default, and
+ * PEARPASS_ALLOWED_EXTENSION_IDS only adds IDs for local dev builds. With no
+ * IDs for any family, every caller is refused.
+ */
+
+export const BROWSER_FAMILIES = Object.freeze({
+  CHROMIUM: 'chromium',
+  FIREFOX: 'firefox',
+  UNKNOWN: 'unknown'
+})
+
+/** @type {Readonly<Record<string, readonly string[]>>} */
+export const ALLOWED_EXTENSIONS = Object.freeze({
+  // Chromium extension IDs (Chrome Web Store, Edge Add-ons and the signed
+  // dev build). TODO: add the published IDs; none are known to this repo yet
+  [BROWSER_FAMILIES.CHROMIUM]: Object.freeze([]),
+  // Firefox add-on IDs (browser_specific_settings.gecko.id). TODO: add the
+  // published AMO ID; none is known to this repo yet
+  [BROWSER_FAMILIES.FIREFOX]: Object.freeze([])
+})
+
+// Environment variable with extra comma-separated extension IDs, each
+// prefixed with its browser family, e.g. `chromium:<id>,firefox:<id>`
+export const ALLOWED_EXTENSION_IDS_ENV = 'PEARPASS_ALLOWED_EXTENSION_IDS'
@@ -0,0 +1,87 @@
+/**
+ * Browsers the native messaging host manifest can be installed for
+ */
+
+import { BROWSER_FAMILIES } from './allowedExtensions.js'
+
+// Name of the native messaging host, used for the manifest file name
+export const NATIVE_HOST_NAME = 'com.pearpass.native_messaging_bridge'
+
+export const NATIVE_HOST_DESCRIPTION =
+  'Native messaging bridge for PearPass browser extension'
+
+/**
+ * @typedef {Object} BrowserDefinition
+ * @property {string} label - Human readable browser name
+ * @property {string} family - Browser family, decides the manifest format
+ * @property {Record<string, {profileDir: string[], manifestDir: string[]}>} paths - Per-platform directories relative to the home directory
+ */
+
+/** @type {Readonly<Record<string, BrowserDefinition>>} */
+export const BROWSERS = Object.freeze({
+  chrome: {
+    label: 'Google Chrome',
+    family: BROWSER_FAMILIES.CHROMIUM,
+    paths: {
+      linux: {
+        profileDir: ['.config', 'google-chrome'],
+        manifestDir: ['.config', 'google-chrome', 'NativeMessagingHosts']
+      }
+    }
+  },
+  chromium: {
+    label: 'Chromium',
+    family: BROWSER_FAMILIES.CHROMIUM,
+    paths: {
+      linux: {
+        profileDir: ['.config', 'chromium'],
+        manifestDir: ['.config', 'chromium', 'NativeMessagingHosts']
+      }
+    }
+  },
+  brave: {
+    label: 'Brave',
+    family: BROWSER_FAMILIES.CHROMIUM,
+    paths: {
+      linux: {
+        profileDir: ['.config', 'BraveSoftware', 'Brave-Browser'],
+        manifestDir: [
+          '.config',
+          'BraveSoftware',
+          'Brave-Browser',
+          'NativeMessagingHosts'
+        ]
+      }
+    }
+  },
+  edge: {
+    label: 'Microsoft Edge',
+    family: BROWSER_FAMILIES.CHROMIUM,
+    paths: {
+      linux: {
+        profileDir: ['.config', 'microsoft-edge'],
+        manifestDir: ['.config', 'microsoft-edge', 'NativeMessagingHosts']
+      }
+    }
+  },
+  vivaldi: {
+    label: 'Vivaldi',
+    family: BROWSER_FAMILIES.CHROMIUM,
+    paths: {
+      linux: {
+        profileDir: ['.config', 'vivaldi'],
+        manifestDir: ['.config', 'vivaldi', 'NativeMessagingHosts']
+      }
+    }
+  },
+  firefox: {
+    label: 'Firefox',
+    family: BROWSER_FAMILIES.FIREFOX,
+    paths: {
+      linux: {
+        profileDir: ['.mozilla'],
+        manifestDir: ['.mozilla', 'native-messaging-hosts']
+      }
+    }
+  }
+})
@@ -2,88 +2,365 @@
  * Command definitions for the native messaging bridge
  */
 
+import { ACCESS_LEVELS } from './sessionPolicy.js'
+import { IPC_CALL_TIMEOUTS, TIMEOUT_CLASSES } from './timeouts.js'
+
 /**
  * @typedef {Object} CommandDefinition
  * @property {number} id - Unique command ID
  * @property {string} name - Command name
+ * @property {boolean} [send] - Server-pushed event rather than a call
+ * @property {'fast'|'default'|'slow'} [timeout] - Timeout class (defaults to 'default')
+ * @property {string} [cancelCommand] - Command that aborts this one on the desktop app
+ * @property {import('../utils/validateParams.js').ParamsSchema} [params] - Params schema checked before forwarding
+ * @property {'public'|'session'|'paired'} [access] - Secure channel access level (defaults to 'session')
+ * @property {string} [event] - Event name pushed to the extension (send definitions only)
+ * @property {string} category - Group from COMMAND_CATEGORIES
  */
 
+/**
+ * @typedef {Object} CommandDescription
+ * @property {number} id
+ * @property {string} name
+ * @property {string} category
+ * @property {'call'|'push'} direction - `push` for server-pushed events
+ * @property {string} access - Secure channel access level
+ * @property {boolean} sensitive - Whether the command requires confirmed pairing
+ * @property {{timeoutClass: string, limit: number}|null} timeout - IPC call limit; null for pushes
+ * @property {string|null} cancelCommand
+ * @property {string|null} event - Extension event name for pushes
+ */
+
+// Groups the command definitions are listed in
+export const COMMAND_CATEGORIES = Object.freeze({
+  ENCRYPTION: 'encryption',
+  VAULTS: 'vaults',
+  ACTIVE_VAULT: 'activeVault',
+  KEYS: 'keys',
+  EXTENSION_PAIRING: 'extensionPairing',
+  AUTO_LOCK: 'autoLock',
+  SECURE_CHANNEL: 'secureChannel',
+  OTP: 'otp',
+  MISC: 'misc',
+  EVENTS: 'events'
+})
+
+// Params schema for commands that take no params; anything sent is dropped
+const NO_PARAMS = Object.freeze({ properties: {}, stripUnknown: true })
+
+// Storage key of a vault or record, e.g. `vault/<id>`
+const KEY = Object.freeze({
+  type: 'string',
+  required: true,
+  minLength: 1,
+  maxLength: 256
+})
+
+// Secure channel session id handed out by nmBeginHandshake
+const SESSION_ID = Object.freeze({
+  type: 'string',
+  required: true,
+  minLength: 1,
+  maxLength: 128
+})
+
+// Largest encrypted nmSecureRequest payload, in base64 characters
+const SECURE_PAYLOAD_LENGTH = 16 * 1024 * 1024
+
+// Base64 value of a bounded size (key, nonce, signature)
+const base64 = (maxLength) =>
+  Object.freeze({ type: 'string', required: true, minLength: 1, maxLength })
+
+// Params schema for commands without their own: params must be an object
+export const DEFAULT_PARAMS_SCHEMA = Object.freeze({ type: 'object' })
+
+/**
+ * Tag a group of definitions with their category
+ * @param {string} category
+ * @param {Omit<CommandDefinition, 'category'>[]} definitions
+ * @returns {CommandDefinition[]}
+ */
+const inCategory = (category, definitions) =>
+  definitions.map((definition) => ({ ...definition, category }))
+
 /** @type {CommandDefinition[]} */
 export const COMMAND_DEFINITIONS = [
   // Encryption commands
-  { id: 1001, name: 'encryptionInit' },
-  { id: 1002, name: 'encryptionGetStatus' },
-  { id: 1003, name: 'encryptionGet' },
-  { id: 1004, name: 'encryptionAdd' },
+  ...inCategory(COMMAND_CATEGORIES.ENCRYPTION, [
+    { id: 1001, name: 'encryptionInit' },
+    {
+      id: 1002,
+      name: 'encryptionGetStatus',
+      timeout: TIMEOUT_CLASSES.FAST,
+      params: NO_PARAMS
+    },
+    { id: 1003, name: 'encryptionGet', access: ACCESS_LEVELS.PAIRED },
+    { id: 1004, name: 'encryptionAdd' }
+  ]),
 
   // Vaults commands
-  { id: 1005, name: 'vaultsInit' },
-  { id: 1006, name: 'vaultsGetStatus' },
-  { id: 1007, name: 'vaultsGet' },
-  { id: 1008, name: 'vaultsList' },
-  { id: 1009, name: 'vaultsAdd' },
-  { id: 1010, name: 'vaultsClose' },
-  { id: 1044, name: 'removeVault' },
+  ...inCategory(COMMAND_CATEGORIES.VAULTS, [
+    { id: 1005, name: 'vaultsInit', timeout: TIMEOUT_CLASSES.SLOW },
+    {
+      id: 1006,
+      name: 'vaultsGetStatus',
+      timeout: TIMEOUT_CLASSES.FAST,
+      params: NO_PARAMS
+    },
+    {
+      id: 1007,
+      name: 'vaultsGet',
+      params: { properties: { key: KEY }, stripUnknown: true, maxSize: 1024 }
+    },
+    { id: 1008, name: 'vaultsList' },
+    { id: 1009, name: 'vaultsAdd' },
+    { id: 1010, name: 'vaultsClose' },
+    { id: 1044, name: 'removeVault' }
+  ]),
 
   // Active vault commands
-  { id: 1011, name: 'activeVaultInit' },
-  { id: 1012, name: 'activeVaultGetStatus' },
-  { id: 1013, name: 'activeVaultGet' },
-  { id: 1014, name: 'activeVaultList' },
-  { id: 1015, name: 'activeVaultAdd' },
-  { id: 1016, name: 'activeVaultRemove' },
-  { id: 1017, name: 'activeVaultClose' },
-  { id: 1018, name: 'activeVaultCreateInvite' },
-  { id: 1019, name: 'activeVaultDeleteInvite' },
-  { id: 1046, name: 'activeVaultGetWriterKey' },
+  ...inCategory(COMMAND_CATEGORIES.ACTIVE_VAULT, [
+    { id: 1011, name: 'activeVaultInit', timeout: TIMEOUT_CLASSES.SLOW },
+    {
+      id: 1012,
+      name: 'activeVaultGetStatus',
+      timeout: TIMEOUT_CLASSES.FAST,
+      params: NO_PARAMS
+    },
+    {
+      id: 1013,
+      name: 'activeVaultGet',
+      params: { properties: { key: KEY }, stripUnknown: true, maxSize: 1024 }
+    },
+    { id: 1014, name: 'activeVaultList', timeout: TIMEOUT_CLASSES.SLOW },
+    { id: 1015, name: 'activeVaultAdd' },
+    { id: 1016, name: 'activeVaultRemove' },
+    { id: 1017, name: 'activeVaultClose' },
+    { id: 1018, name: 'activeVaultCreateInvite' },
+    { id: 1019, name: 'activeVaultDeleteInvite' },
+    { id: 1046, name: 'activeVaultGetWriterKey', access: ACCESS_LEVELS.PAIRED }
+  ]),
 
   // Password and encryption key commands
-  { id: 1020, name: 'hashPassword' },
-  { id: 1021, name: 'encryptVaultKeyWithHashedPassword' },
-  { id: 1022, name: 'encryptVaultWithKey' },
-  { id: 1023, name: 'getDecryptionKey' },
-  { id: 1024, name: 'decryptVaultKey' },
+  ...inCategory(COMMAND_CATEGORIES.KEYS, [
+    { id: 1020, name: 'hashPassword', access: ACCESS_LEVELS.PAIRED },
+    {
+      id: 1021,
+      name: 'encryptVaultKeyWithHashedPassword',
+      access: ACCESS_LEVELS.PAIRED
+    },
+    { id: 1022, name: 'encryptVaultWithKey', access: ACCESS_LEVELS.PAIRED },
+    { id: 1023, name: 'getDecryptionKey', access: ACCESS_LEVELS.PAIRED },
+    { id: 1024, name: 'decryptVaultKey', access: ACCESS_LEVELS.PAIRED }
+  ]),
 
   // Extension pairing
-  { id: 1033, name: 'checkExtensionPairingStatus' },
+  ...inCategory(COMMAND_CATEGORIES.EXTENSION_PAIRING, [
+    {
+      id: 1033,
+      name: 'checkExtensionPairingStatus',
+      timeout: TIMEOUT_CLASSES.FAST
+    }
+  ]),
 
   //Auto lock commands
-  { id: 1035, name: 'getAutoLockSettings' },
-  { id: 1036, name: 'setAutoLockTimeout' },
-  { id: 1037, name: 'setAutoLockEnabled' },
-  { id: 1038, name: 'resetTimer' },
+  ...inCategory(COMMAND_CATEGORIES.AUTO_LOCK, [
+    {
+      id: 1035,
+      name: 'getAutoLockSettings',
+      timeout: TIMEOUT_CLASSES.FAST,
+      params: NO_PARAMS
+    },
+    { id: 1036, name: 'setAutoLockTimeout', timeout: TIMEOUT_CLASSES.FAST },
+    { id: 1037, name: 'setAutoLockEnabled', timeout: TIMEOUT_CLASSES.FAST },
+    {
+      id: 1038,
+      name: 'resetTimer',
+      timeout: TIMEOUT_CLASSES.FAST,
+      params: NO_PARAMS
+    }
+  ]),
 
   // Native Messaging secure channel (pairing/handshake)
-  { id: 1100, name: 'nmGetAppIdentity' },
-  { id: 1102, name: 'nmBeginHandshake' },
-  { id: 1103, name: 'nmFinishHandshake' },
-  { id: 1104, name: 'nmSecureRequest' },
-  { id: 1105, name: 'nmCloseSession' },
-  { id: 1106, name: 'nmConfirmPairing' },
+  ...inCategory(COMMAND_CATEGORIES.SECURE_CHANNEL, [
+    {
+      id: 1100,
+      name: 'nmGetAppIdentity',
+      timeout: TIMEOUT_CLASSES.FAST,
+      access: ACCESS_LEVELS.PUBLIC
+    },
+    {
+      id: 1102,
+      name: 'nmBeginHandshake',
+      access: ACCESS_LEVELS.PUBLIC,
+      params: {
+        properties: { extEphemeralPubB64: base64(128) },
+        stripUnknown: true,
+        maxSize: 1024
+      }
+    },
+    {
+      id: 1103,
+      name: 'nmFinishHandshake',
+      access: ACCESS_LEVELS.PUBLIC,
+      params: {
+        properties: { sessionId: SESSION_ID },
+        stripUnknown: true,
+        maxSize: 1024
+      }
+    },
+    {
+      id: 1104,
+      name: 'nmSecureRequest',
+      params: {
+        properties: {
+          sessionId: SESSION_ID,
+          nonceB64: base64(64),
+          ciphertextB64: base64(SECURE_PAYLOAD_LENGTH),
+          seq: { type: 'integer', min: 0 }
+        },
+        stripUnknown: true,
+        maxSize: SECURE_PAYLOAD_LENGTH + 1024
+      }
+    },
+    {
+      id: 1105,
+      name: 'nmCloseSession',
+      timeout: TIMEOUT_CLASSES.FAST,
+      params: {
+        properties: { sessionId: SESSION_ID },
+        stripUnknown: true,
+        maxSize: 1024
+      }
+    },
+    { id: 1106, name: 'nmConfirmPairing' }
+  ]),
 
   // OTP commands
-  { id: 1040, name: 'generateOtpCodesByIds' },
-  { id: 1041, name: 'generateHotpNext' },
-  { id: 1042, name: 'addOtpToRecord' },
-  { id: 1043, name: 'removeOtpFromRecord' },
+  ...inCategory(COMMAND_CATEGORIES.OTP, [
+    { id: 1040, name: 'generateOtpCodesByIds' },
+    { id: 1041, name: 'generateHotpNext' },
+    { id: 1042, name: 'addOtpToRecord' },
+    { id: 1043, name: 'removeOtpFromRecord' }
+  ]),
 
   // Pairing and misc commands
-  { id: 1025, name: 'pairActiveVault' },
-  { id: 1026, name: 'initListener' },
-  { id: 1027, name: 'closeAllInstances' },
-  { id: 1028, name: 'cancelPairActiveVault' },
+  ...inCategory(COMMAND_CATEGORIES.MISC, [
+    {
+      id: 1025,
+      name: 'pairActiveVault',
+      timeout: TIMEOUT_CLASSES.SLOW,
+      cancelCommand: 'cancelPairActiveVault',
+      params: {
+        properties: {
+          inviteCode: {
+            type: 'string',
+            required: true,
+            minLength: 1,
+            maxLength: 2048
+          }
+        },
+        stripUnknown: true,
+        maxSize: 4096
+      }
+    },
+    { id: 1026, name: 'initListener' },
+    { id: 1027, name: 'closeAllInstances', access: ACCESS_LEVELS.PAIRED },
+    { id: 1028, name: 'cancelPairActiveVault' }
+  ]),
 
   // Server-pushed events (fire-and-forget, server -> bridge)
-  { id: 1045, name: 'onVaultAccessRevoked', send: true }
+  ...inCategory(COMMAND_CATEGORIES.EVENTS, [
+    {
+      id: 1045,
+      name: 'onVaultAccessRevoked',
+      send: true,
+      event: 'vault-access-revoked'
+    }
+  ])
 ]
 
+/** @type {CommandDefinition[]} */
+export const PUSH_DEFINITIONS = COMMAND_DEFINITIONS.filter((cmd) => cmd.send)
+
 /** @type {string[]} */
 export const COMMAND_NAMES = COMMAND_DEFINITIONS.map((cmd) => cmd.name)
 
 /**
- * Check if a command name is valid
+ * Check if a command name is one the extension can call. Server-pushed
+ * send definitions are not callable.
  * @param {string} commandName - The command name to validate
  * @returns {boolean}
  */
 export const isValidCommand = (commandName) =>
-  COMMAND_NAMES.includes(commandName)
+  COMMAND_DEFINITIONS.some((cmd) => cmd.name === commandName && !cmd.send)
+
+/**
+ * Get the definition of a command
+ * @param {string} commandName - The command name
+ * @returns {CommandDefinition|undefined}
+ */
+export const getCommandDefinition = (commandName) =>
+  COMMAND_DEFINITIONS.find((cmd) => cmd.name === commandName)
+
+/**
+ * Get the IPC call timeout for a command from its timeout class
+ * @param {string} commandName - The command name
+ * @returns {{timeoutClass: string, limit: number}}
+ */
+export const getCommandTimeout = (commandName) => {
+  const timeoutClass =
+    getCommandDefinition(commandName)?.timeout || TIMEOUT_CLASSES.DEFAULT
+  return {
+    timeoutClass,
+    limit:
+      IPC_CALL_TIMEOUTS[timeoutClass] ||
+      IPC_CALL_TIMEOUTS[TIMEOUT_CLASSES.DEFAULT]
+  }
+}
+
+/**
+ * Get the params schema for a command
+ * @param {string} commandName - The command name
+ * @returns {import('../utils/validateParams.js').ParamsSchema}
+ */
+export const getParamsSchema = (commandName) =>
+  getCommandDefinition(commandName)?.params || DEFAULT_PARAMS_SCHEMA
+
+/**
+ * Get the secure channel access level of a command
+ * @param {string} commandName - The command name
+ * @returns {string}
+ */
+export const getCommandAccess = (commandName) =>
+  getCommandDefinition(commandName)?.access || ACCESS_LEVELS.SESSION
+
+/**
+ * Describe every command definition for introspection
+ * @returns {CommandDescription[]}
+ */
+export const describeCommands = () =>
+  COMMAND_DEFINITIONS.map(({ id, name, category, send, cancelCommand }) => {
+    const access = getCommandAccess(name)
+    return {
+      id,
+      name,
+      category,
+      direction: send ? 'push' : 'call',
+      access,
+      sensitive: access === ACCESS_LEVELS.PAIRED,
+      timeout: send ? null : getCommandTimeout(name),
+      cancelCommand: cancelCommand || null,
+      event: getPushEventName(name) || null
+    }
+  })
+
+/**
+ * Get the extension event name of a server-pushed send-method
+ * @param {string} commandName - The send-method name
+ * @returns {string|undefined}
+ */
+export const getPushEventName = (commandName) => {
+  const definition = getCommandDefinition(commandName)
+  return definition?.send ? definition.event : undefined
+}
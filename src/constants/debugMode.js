@@ -1 +0,0 @@
-export const DEBUG_MODE = false
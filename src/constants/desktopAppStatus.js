@@ -0,0 +1,53 @@
+/**
+ * Desktop app connection status definitions for the native messaging bridge
+ */
+
+export const DESKTOP_APP_STATUS = Object.freeze({
+  CONNECTED: 'connected',
+  NOT_RUNNING: 'not-running',
+  INTEGRATION_DISABLED: 'integration-disabled',
+  CONNECTING: 'connecting',
+  STALE_SOCKET: 'stale-socket',
+  PERMISSION_DENIED: 'permission-denied',
+  TIMED_OUT: 'timed-out',
+  INCOMPATIBLE_VERSION: 'incompatible-version',
+  BUSY: 'busy',
+  UNKNOWN: 'unknown'
+})
+
+// Error messages for each status
+export const STATUS_MESSAGES = Object.freeze({
+  [DESKTOP_APP_STATUS.CONNECTED]: 'PearPass desktop app connected',
+  [DESKTOP_APP_STATUS.NOT_RUNNING]: 'PearPass desktop app is not running',
+  [DESKTOP_APP_STATUS.INTEGRATION_DISABLED]:
+    'Browser extension integration is disabled in PearPass desktop app. Please enable it in Settings > Privacy',
+  [DESKTOP_APP_STATUS.CONNECTING]: 'Connecting to PearPass desktop app...',
+  [DESKTOP_APP_STATUS.STALE_SOCKET]:
+    'PearPass desktop app connection is stale; the app may have exited unexpectedly',
+  [DESKTOP_APP_STATUS.PERMISSION_DENIED]:
+    'Permission denied while connecting to PearPass desktop app',
+  [DESKTOP_APP_STATUS.TIMED_OUT]:
+    'PearPass desktop app did not respond in time',
+  [DESKTOP_APP_STATUS.INCOMPATIBLE_VERSION]:
+    'PearPass desktop app version is not compatible with this browser extension',
+  [DESKTOP_APP_STATUS.BUSY]: 'PearPass desktop app is busy',
+  [DESKTOP_APP_STATUS.UNKNOWN]: 'Unable to connect to PearPass desktop app'
+})
+
+// Remediation hints shown alongside each status
+export const STATUS_HINTS = Object.freeze({
+  [DESKTOP_APP_STATUS.CONNECTED]: null,
+  [DESKTOP_APP_STATUS.NOT_RUNNING]: 'Start the PearPass desktop app',
+  [DESKTOP_APP_STATUS.INTEGRATION_DISABLED]:
+    'Enable the browser extension in PearPass Settings > Privacy',
+  [DESKTOP_APP_STATUS.CONNECTING]: 'Wait for the connection to complete',
+  [DESKTOP_APP_STATUS.STALE_SOCKET]: 'Restart the PearPass desktop app',
+  [DESKTOP_APP_STATUS.PERMISSION_DENIED]:
+    'Make sure the browser and PearPass desktop app run as the same user',
+  [DESKTOP_APP_STATUS.TIMED_OUT]:
+    'Bring the PearPass desktop app to the foreground or restart it',
+  [DESKTOP_APP_STATUS.INCOMPATIBLE_VERSION]:
+    'Update the PearPass desktop app and browser extension to the latest versions',
+  [DESKTOP_APP_STATUS.BUSY]: 'Try again in a moment',
+  [DESKTOP_APP_STATUS.UNKNOWN]: 'Restart the PearPass desktop app and browser'
+})
@@ -0,0 +1,42 @@
+import { DESKTOP_APP_STATUS } from './desktopAppStatus.js'
+
+// Error codes reported to the extension in `errorCode`. While the desktop
+// app is unreachable, requests fail with its DESKTOP_APP_STATUS instead.
+export const ERROR_CODES = Object.freeze({
+  UNKNOWN_METHOD: 'UNKNOWN_METHOD', // Not a bridge control message or desktop command
+  INVALID_PARAMS: 'INVALID_PARAMS', // Params rejected by the command's schema
+  INVALID_MESSAGE: 'INVALID_MESSAGE', // Frame is not valid JSON or a valid protocol wrapper
+  INVALID_CHUNK: 'INVALID_CHUNK', // Chunk frame out of sequence or not reassemblable
+  INVALID_COMPRESSED_MESSAGE: 'INVALID_COMPRESSED_MESSAGE', // Envelope cannot be decoded
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE', // Message exceeds the size the bridge accepts
+  IPC_TIMEOUT: 'IPC_TIMEOUT', // Desktop app did not answer within the limit
+  IPC_DISCONNECTED: 'IPC_DISCONNECTED', // Connection to the desktop app broke mid-call
+  QUEUE_FULL: 'QUEUE_FULL', // Too many requests waiting for the desktop app connection
+  DESKTOP_ERROR: 'DESKTOP_ERROR', // The desktop app handled the call and threw
+  SESSION_POLICY_VIOLATION: 'SESSION_POLICY_VIOLATION', // Secure channel state does not allow the command
+  CALLER_NOT_ALLOWED: 'CALLER_NOT_ALLOWED', // Extension is not on the allowlist
+  INCOMPATIBLE_PROTOCOL: 'INCOMPATIBLE_PROTOCOL', // Extension and bridge share no protocol version
+  CANCELLED: 'CANCELLED', // Cancelled by the extension
+  INTERNAL_ERROR: 'INTERNAL_ERROR' // Unexpected bridge failure
+})
+
+// Codes for failures that may go away if the same request is sent again
+// later, without the extension changing anything
+const RETRYABLE_ERROR_CODES = new Set([
+  ERROR_CODES.IPC_TIMEOUT,
+  ERROR_CODES.IPC_DISCONNECTED,
+  ERROR_CODES.QUEUE_FULL,
+  DESKTOP_APP_STATUS.NOT_RUNNING,
+  DESKTOP_APP_STATUS.CONNECTING,
+  DESKTOP_APP_STATUS.STALE_SOCKET,
+  DESKTOP_APP_STATUS.TIMED_OUT,
+  DESKTOP_APP_STATUS.BUSY,
+  DESKTOP_APP_STATUS.UNKNOWN
+])
+
+/**
+ * Check if a failure with this code is worth retrying
+ * @param {string} code - Error code
+ * @returns {boolean}
+ */
+export const isRetryableErrorCode = (code) => RETRYABLE_ERROR_CODES.has(code)
@@ -0,0 +1,42 @@
+// Log levels, from least to most verbose. OFF disables logging.
+export const LOG_LEVELS = Object.freeze({
+  OFF: 'OFF',
+  ERROR: 'ERROR',
+  WARN: 'WARN',
+  INFO: 'INFO',
+  DEBUG: 'DEBUG'
+})
+
+// Where log lines are written. stdout carries the native messaging
+// protocol, so it is never a destination.
+export const LOG_DESTINATIONS = Object.freeze({
+  FILE: 'file',
+  STDERR: 'stderr'
+})
+
+// Environment variables overriding the config file
+export const LOG_ENV_VARS = Object.freeze({
+  LEVEL: 'PEARPASS_BRIDGE_LOG_LEVEL', // One of LOG_LEVELS, case-insensitive
+  DESTINATION: 'PEARPASS_BRIDGE_LOG_DESTINATION', // One of LOG_DESTINATIONS
+  FILE: 'PEARPASS_BRIDGE_LOG_FILE', // Path of the log file
+  MAX_SIZE: 'PEARPASS_BRIDGE_LOG_MAX_SIZE', // Bytes before the file is rotated
+  MAX_FILES: 'PEARPASS_BRIDGE_LOG_MAX_FILES', // Rotated files kept
+  COMPRESS: 'PEARPASS_BRIDGE_LOG_COMPRESS' // `true` to gzip rotated files
+})
+
+// Config file in ~/.pearpass: { "logLevel", "logDestination", "logFile",
+// "logMaxSize", "logMaxFiles", "logCompress" }
+export const LOG_CONFIG_FILE_NAME = 'native-messaging-bridge.json'
+
+// Used when neither the environment nor the config file sets a value
+export const DEFAULT_LOG_CONFIG = Object.freeze({
+  level: LOG_LEVELS.OFF,
+  destination: LOG_DESTINATIONS.FILE,
+  maxSize: 5 * 1024 * 1024, // 5 MB
+  maxFiles: 3,
+  compress: false
+})
+
+// Log lines held in memory while a write is in progress; lines past this
+// are dropped and counted rather than buffered without bound
+export const LOG_BUFFER_LIMIT = 1024 * 1024 // 1 MB
@@ -0,0 +1,10 @@
+// Message size limits (in bytes unless noted)
+export const MESSAGE_LIMITS = Object.freeze({
+  MESSAGE_SIZE_LIMIT: 1024 * 1024, // Browsers reject host-to-browser messages over 1 MB
+  CHUNK_LENGTH: 256 * 1024, // UTF-16 code units of serialized JSON per chunk frame
+  REASSEMBLED_SIZE_LIMIT: 64 * 1024 * 1024, // Largest message rebuilt from inbound chunks
+  PENDING_CHUNKS_SIZE_LIMIT: 64 * 1024 * 1024, // All partly received chunked messages together
+  MAX_PENDING_CHUNKED_MESSAGES: 16, // Chunked messages received at once (a count, not bytes)
+  COMPRESSION_THRESHOLD: 16 * 1024, // Smaller messages are not worth compressing
+  MAX_BATCH_SIZE: 32 // Requests in one batch message (a count, not bytes)
+})
@@ -0,0 +1,24 @@
+import packageJson from '../../package.json' with { type: 'json' }
+
+// Version of this package
+export const BRIDGE_VERSION = packageJson.version
+
+// Version of the extension <-> bridge message protocol. Raised whenever a
+// change would break extensions built against the previous version.
+export const PROTOCOL_VERSION = 1
+
+// Oldest extension protocol version this bridge still serves
+export const MIN_PROTOCOL_VERSION = 1
+
+// Optional protocol features, reported in the `hello` response
+export const BRIDGE_CAPABILITIES = Object.freeze({
+  WRAPPED_MESSAGES: 'wrappedMessages', // `{ length, message }` protocol wrapper
+  PADDING_WORKAROUND: 'paddingWorkaround', // `params.padding` is stripped before forwarding
+  PUSHED_EVENTS: 'pushedEvents', // `send: true` definitions pushed as `{ event, data }`
+  EVENT_SUBSCRIPTIONS: 'eventSubscriptions', // `subscribe` / `unsubscribe`
+  CANCELLATION: 'cancellation', // `cancel`
+  CHUNKING: 'chunking', // `{ id, chunk, total, data }` frames
+  COMPRESSION: 'compression', // Negotiated in `hello` or with `capabilities`
+  BATCH: 'batch', // Array or `{ batch: [...] }` messages
+  JSON_RPC: 'jsonRpc' // JSON-RPC 2.0 envelope
+})
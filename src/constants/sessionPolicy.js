@@ -0,0 +1,58 @@
+/**
+ * Secure channel session policy for the native messaging bridge
+ */
+
+// Secure channel states, in order of increasing trust
+export const SESSION_STATES = Object.freeze({
+  NONE: 'none',
+  HANDSHAKING: 'handshaking',
+  ESTABLISHED: 'established',
+  PAIRED: 'paired'
+})
+
+// Access levels a command definition can declare
+export const ACCESS_LEVELS = Object.freeze({
+  PUBLIC: 'public', // allowed before the handshake
+  SESSION: 'session', // requires a completed handshake
+  PAIRED: 'paired' // sensitive; requires confirmed pairing unless sent inside nmSecureRequest
+})
+
+// Session states in which each access level is allowed
+const ALLOWED_STATES = Object.freeze({
+  [ACCESS_LEVELS.PUBLIC]: Object.values(SESSION_STATES),
+  [ACCESS_LEVELS.SESSION]: [SESSION_STATES.ESTABLISHED, SESSION_STATES.PAIRED],
+  [ACCESS_LEVELS.PAIRED]: [SESSION_STATES.PAIRED]
+})
+
+// Session state reached after each secure channel command succeeds
+export const SESSION_TRANSITIONS = Object.freeze({
+  nmBeginHandshake: SESSION_STATES.HANDSHAKING,
+  nmFinishHandshake: SESSION_STATES.ESTABLISHED,
+  nmConfirmPairing: SESSION_STATES.PAIRED,
+  nmCloseSession: SESSION_STATES.NONE
+})
+
+/**
+ * Check whether the result of a secure channel command reports success.
+ * The desktop app resolves some failed steps with `{ success: false }` or
+ * an `error` rather than rejecting, and those must not advance the state.
+ * @param {*} result - Result the desktop app resolved with
+ * @returns {boolean}
+ */
+export const isSuccessfulTransitionResult = (result) =>
+  !(
+    result &&
+    typeof result === 'object' &&
+    (result.success === false || (result.error ?? null) !== null)
+  )
+
+/**
+ * Check whether an access level is allowed in a session state
+ * @param {string} access - Access level of the command
+ * @param {string} sessionState - Current secure channel state
+ * @returns {boolean}
+ */
+export const isAllowedInSessionState = (access, sessionState) =>
+  (ALLOWED_STATES[access] || ALLOWED_STATES[ACCESS_LEVELS.SESSION]).includes(
+    sessionState
+  )
@@ -0,0 +1,24 @@
+// Timeout constants (in milliseconds)
+export const TIMEOUTS = Object.freeze({
+  IPC_CONNECTION: 45000, // 45 seconds to establish IPC connection
+  IPC_CALL: 45000, // 45 seconds for IPC method calls
+  IPC_CALL_FAST: 10000, // 10 seconds for cheap status/settings lookups
+  IPC_CALL_SLOW: 300000, // 5 minutes for vault initialisation and pairing
+  RECONNECT_INITIAL_DELAY: 1000, // 1 second before the first background retry
+  RECONNECT_MAX_DELAY: 60000, // Background retries back off to at most 1 minute
+  OUTPUT_FLUSH: 2000 // 2 seconds to write queued frames on shutdown
+})
+
+// Timeout classes a command definition can declare
+export const TIMEOUT_CLASSES = Object.freeze({
+  FAST: 'fast',
+  DEFAULT: 'default',
+  SLOW: 'slow'
+})
+
+// IPC call limit for each timeout class
+export const IPC_CALL_TIMEOUTS = Object.freeze({
+  [TIMEOUT_CLASSES.FAST]: TIMEOUTS.IPC_CALL_FAST,
+  [TIMEOUT_CLASSES.DEFAULT]: TIMEOUTS.IPC_CALL,
+  [TIMEOUT_CLASSES.SLOW]: TIMEOUTS.IPC_CALL_SLOW
+})
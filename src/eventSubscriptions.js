@@ -0,0 +1,148 @@
+import { PUSH_DEFINITIONS } from './constants/commandDefinitions.js'
+
+/** @type {string[]} */
+export const PUSH_EVENT_NAMES = PUSH_DEFINITIONS.map((cmd) => cmd.event)
+
+const VAULT_IDS_SCHEMA = Object.freeze({
+  type: 'array',
+  minItems: 1,
+  items: { type: 'string', minLength: 1 }
+})
+
+/** @type {import('./utils/validateParams.js').ParamsSchema} */
+export const SUBSCRIBE_PARAMS_SCHEMA = Object.freeze({
+  properties: {
+    events: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: { type: 'string', enum: PUSH_EVENT_NAMES }
+    },
+    vaultIds: VAULT_IDS_SCHEMA
+  },
+  stripUnknown: true
+})
+
+/** @type {import('./utils/validateParams.js').ParamsSchema} */
+export const UNSUBSCRIBE_PARAMS_SCHEMA = Object.freeze({
+  properties: {
+    events: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', enum: PUSH_EVENT_NAMES }
+    },
+    vaultIds: VAULT_IDS_SCHEMA
+  },
+  stripUnknown: true
+})
+
+/**
+ * Event Subscriptions - the pushed events the extension asked for. Until the
+ * extension subscribes or unsubscribes, every event is delivered. Each
+ * subscribed event either covers every vault (`null`) or only the listed
+ * vault ids; the vault filter applies to pushes whose data has a `vaultId`.
+ */
+export class EventSubscriptions {
+  /**
+   * @param {string[]} [eventNames] - Every event that can be subscribed to
+   */
+  constructor(eventNames = PUSH_EVENT_NAMES) {
+    /** @type {string[]} */
+    this.eventNames = eventNames
+    /** @type {Map<string, Set<string>|null>|null} */
+    this.subscriptions = null
+  }
+
+  /**
+   * @returns {boolean} Whether the extension has declared its subscriptions
+   */
+  get isFiltering() {
+    return this.subscriptions !== null
+  }
+
+  /**
+   * Add events, optionally limited to some vaults. An event already
+   * subscribed for every vault stays that way.
+   * @param {string[]} events
+   * @param {string[]} [vaultIds]
+   */
+  subscribe(events, vaultIds) {
+    if (!this.subscriptions) {
+      this.subscriptions = new Map()
+    }
+
+    for (const event of events) {
+      const current = this.subscriptions.get(event)
+      if (!vaultIds || current === null) {
+        this.subscriptions.set(event, null)
+      } else {
+        this.subscriptions.set(
+          event,
+          new Set([...(current || []), ...vaultIds])
+        )
+      }
+    }
+  }
+
+  /**
+   * Remove events, or only some vaults from vault-limited events. Removing
+   * vaults from an event subscribed for every vault has no effect.
+   * @param {string[]} [events] - Defaults to every subscribed event
+   * @param {string[]} [vaultIds]
+   */
+  unsubscribe(events, vaultIds) {
+    if (!this.subscriptions) {
+      this.subscriptions = new Map(this.eventNames.map((name) => [name, null]))
+    }
+
+    for (const event of events || [...this.subscriptions.keys()]) {
+      const current = this.subscriptions.get(event)
+      if (!vaultIds) {
+        this.subscriptions.delete(event)
+      } else if (current) {
+        vaultIds.forEach((vaultId) => current.delete(vaultId))
+        if (current.size === 0) {
+          this.subscriptions.delete(event)
+        }
+      }
+    }
+  }
+
+  /**
+   * Whether a push should reach the extension
+   * @param {string} event
+   * @param {*} [data]
+   * @returns {boolean}
+   */
+  isSubscribed(event, data) {
+    if (!this.subscriptions) {
+      return true
+    }
+
+    if (!this.subscriptions.has(event)) {
+      return false
+    }
+
+    const vaultIds = this.subscriptions.get(event)
+    const vaultId = data?.vaultId
+    return !vaultIds || typeof vaultId !== 'string' || vaultIds.has(vaultId)
+  }
+
+  /**
+   * The current subscription set: event name to vault ids, `null` meaning
+   * every vault
+   * @returns {Record<string, string[]|null>}
+   */
+  toJSON() {
+    const entries = this.subscriptions
+      ? [...this.subscriptions]
+      : this.eventNames.map((name) => [name, null])
+
+    return Object.fromEntries(
+      entries.map(([event, vaultIds]) => [
+        event,
+        vaultIds ? [...vaultIds] : null
+      ])
+    )
+  }
+}
@@ -0,0 +1,91 @@
+import { EventSubscriptions, PUSH_EVENT_NAMES } from './eventSubscriptions'
+
+// More events than the desktop app pushes today, to exercise filtering
+const EVENT_NAMES = [
+  'vault-access-revoked',
+  'vault-locked',
+  'vault-unlocked',
+  'auto-lock-timeout'
+]
+
+describe('EventSubscriptions', () => {
+  let subscriptions
+
+  beforeEach(() => {
+    subscriptions = new EventSubscriptions(EVENT_NAMES)
+  })
+
+  test('defaults to the events of the push definitions', () => {
+    expect(PUSH_EVENT_NAMES).toEqual(['vault-access-revoked'])
+    expect(Object.keys(new EventSubscriptions().toJSON())).toEqual(
+      PUSH_EVENT_NAMES
+    )
+  })
+
+  test('delivers every event until the extension declares subscriptions', () => {
+    expect(subscriptions.isFiltering).toBe(false)
+    expect(subscriptions.isSubscribed('vault-locked', { vaultId: 'v1' })).toBe(
+      true
+    )
+    expect(Object.keys(subscriptions.toJSON())).toEqual(EVENT_NAMES)
+  })
+
+  test('subscribe limits delivery to the listed events', () => {
+    subscriptions.subscribe(['vault-locked'])
+
+    expect(subscriptions.isFiltering).toBe(true)
+    expect(subscriptions.isSubscribed('vault-locked')).toBe(true)
+    expect(subscriptions.isSubscribed('vault-unlocked')).toBe(false)
+    expect(subscriptions.toJSON()).toEqual({ 'vault-locked': null })
+  })
+
+  test('vault ids filter pushes that carry a vaultId', () => {
+    subscriptions.subscribe(['vault-access-revoked'], ['v1'])
+    subscriptions.subscribe(['vault-access-revoked'], ['v2'])
+
+    expect(
+      subscriptions.isSubscribed('vault-access-revoked', { vaultId: 'v2' })
+    ).toBe(true)
+    expect(
+      subscriptions.isSubscribed('vault-access-revoked', { vaultId: 'v3' })
+    ).toBe(false)
+    expect(subscriptions.isSubscribed('vault-access-revoked', {})).toBe(true)
+    expect(subscriptions.toJSON()).toEqual({
+      'vault-access-revoked': ['v1', 'v2']
+    })
+  })
+
+  test('a subscription for every vault is not narrowed by vault ids', () => {
+    subscriptions.subscribe(['vault-locked'])
+    subscriptions.subscribe(['vault-locked'], ['v1'])
+    subscriptions.unsubscribe(['vault-locked'], ['v1'])
+
+    expect(subscriptions.toJSON()).toEqual({ 'vault-locked': null })
+  })
+
+  test('unsubscribe removes vaults, then the event once none are left', () => {
+    subscriptions.subscribe(['vault-locked', 'vault-unlocked'], ['v1', 'v2'])
+    subscriptions.unsubscribe(['vault-locked'], ['v1'])
+    expect(subscriptions.toJSON()).toEqual({
+      'vault-locked': ['v2'],
+      'vault-unlocked': ['v1', 'v2']
+    })
+
+    subscriptions.unsubscribe(['vault-locked'], ['v2'])
+    expect(subscriptions.toJSON()).toEqual({ 'vault-unlocked': ['v1', 'v2'] })
+
+    subscriptions.unsubscribe()
+    expect(subscriptions.toJSON()).toEqual({})
+    expect(subscriptions.isSubscribed('vault-unlocked')).toBe(false)
+  })
+
+  test('unsubscribe before subscribing starts from every event', () => {
+    subscriptions.unsubscribe(['auto-lock-timeout'])
+
+    expect(subscriptions.isSubscribed('auto-lock-timeout')).toBe(false)
+    expect(subscriptions.isSubscribed('vault-locked')).toBe(true)
+    expect(Object.keys(subscriptions.toJSON())).toEqual(
+      EVENT_NAMES.filter((name) => name !== 'auto-lock-timeout')
+    )
+  })
+})
@@ -0,0 +1,165 @@
+/**
+ * JSON-RPC 2.0 envelope, accepted alongside the native `{ id, command }` shape
+ */
+
+import { ERROR_CODES } from './constants/errorCodes.js'
+import { createErrorResponse } from './nativeMessagingProtocol.js'
+import { createBridgeError } from './utils/createBridgeError.js'
+
+export const JSON_RPC_VERSION = '2.0'
+
+// Error codes defined by the JSON-RPC 2.0 specification
+export const JSON_RPC_ERROR_CODES = Object.freeze({
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  SERVER_ERROR: -32000 // Every other bridge error; see `data.errorCode`
+})
+
+// Bridge error codes with a JSON-RPC counterpart
+const STANDARD_ERROR_CODES = Object.freeze({
+  [ERROR_CODES.INVALID_MESSAGE]: JSON_RPC_ERROR_CODES.INVALID_REQUEST,
+  [ERROR_CODES.UNKNOWN_METHOD]: JSON_RPC_ERROR_CODES.METHOD_NOT_FOUND,
+  [ERROR_CODES.INVALID_PARAMS]: JSON_RPC_ERROR_CODES.INVALID_PARAMS,
+  [ERROR_CODES.INTERNAL_ERROR]: JSON_RPC_ERROR_CODES.INTERNAL_ERROR
+})
+
+/**
+ * @typedef {Object} JsonRpcRequest
+ * @property {'2.0'} jsonrpc
+ * @property {string|number|null} [id] - Omitted for notifications
+ * @property {string} method
+ * @property {Object} [params] - Named params; positional arrays are not supported
+ */
+
+/**
+ * @typedef {Object} JsonRpcResponse
+ * @property {'2.0'} jsonrpc
+ * @property {string|number|null} id
+ * @property {*} [result]
+ * @property {{code: number, message: string, data: Object}} [error]
+ */
+
+/**
+ * @param {*} id
+ * @returns {boolean}
+ */
+const isValidId = (id) =>
+  id === null || typeof id === 'string' || typeof id === 'number'
+
+/**
+ * Check if a message uses the JSON-RPC envelope. Anything carrying a
+ * `jsonrpc` member is treated as JSON-RPC, so a bad version is reported in
+ * JSON-RPC form.
+ * @param {*} message - The message to check
+ * @returns {boolean}
+ */
+export const isJsonRpcMessage = (message) =>
+  !!message &&
+  typeof message === 'object' &&
+  !Array.isArray(message) &&
+  'jsonrpc' in message
+
+/**
+ * Check if a message is a JSON-RPC batch: a non-empty array of JSON-RPC
+ * requests
+ * @param {*} message - The message to check
+ * @returns {boolean}
+ */
+export const isJsonRpcBatch = (message) =>
+  Array.isArray(message) &&
+  message.length > 0 &&
+  message.every(isJsonRpcMessage)
+
+/**
+ * Check if a JSON-RPC request is a notification, which gets no response
+ * @param {JsonRpcRequest} message
+ * @returns {boolean}
+ */
+export const isJsonRpcNotification = (message) => !('id' in message)
+
+/**
+ * Convert a JSON-RPC request into the native message shape. Throws with
+ * errorCode `INVALID_MESSAGE` for a malformed request and `INVALID_PARAMS`
+ * for positional params.
+ * @param {JsonRpcRequest} message
+ * @returns {{id?: string|number|null, method: string, params?: Object}}
+ */
+export const parseJsonRpcRequest = (message) => {
+  const { jsonrpc, id, method, params } = message
+
+  if (jsonrpc !== JSON_RPC_VERSION) {
+    throw createBridgeError(
+      ERROR_CODES.INVALID_MESSAGE,
+      `Unsupported JSON-RPC version: ${jsonrpc}`
+    )
+  }
+  if ('id' in message && !isValidId(id)) {
+    throw createBridgeError(
+      ERROR_CODES.INVALID_MESSAGE,
+      'JSON-RPC id must be a string, number or null'
+    )
+  }
+  if (typeof method !== 'string' || method === '') {
+    throw createBridgeError(
+      ERROR_CODES.INVALID_MESSAGE,
+      'JSON-RPC method must be a non-empty string'
+    )
+  }
+  if (
+    params !== undefined &&
+    (params === null || typeof params !== 'object' || Array.isArray(params))
+  ) {
+    throw createBridgeError(
+      ERROR_CODES.INVALID_PARAMS,
+      'JSON-RPC params must be an object of named params',
+      { field: 'params' }
+    )
+  }
+
+  return { id, method, params }
+}
+
+/**
+ * Convert a native response into a JSON-RPC response. Errors keep the
+ * bridge's `errorCode`, `retryable` and any details under `error.data`.
+ * @param {Object} response - A native success or error response
+ * @returns {JsonRpcResponse}
+ */
+export const toJsonRpcResponse = ({
+  id = null,
+  success,
+  result,
+  error,
+  ...details
+}) => {
+  if (success) {
+    return { jsonrpc: JSON_RPC_VERSION, id, result: result ?? null }
+  }
+
+  return {
+    jsonrpc: JSON_RPC_VERSION,
+    id,
+    error: {
+      code:
+        STANDARD_ERROR_CODES[details.errorCode] ??
+        JSON_RPC_ERROR_CODES.SERVER_ERROR,
+      message: error,
+      data: details
+    }
+  }
+}
+
+/**
+ * Build the JSON-RPC error response for a request that could not be run.
+ * The request's id is echoed only if it is a valid id.
+ * @param {JsonRpcRequest} message
+ * @param {Error & {errorCode?: string}} error
+ * @returns {JsonRpcResponse}
+ */
+export const createJsonRpcErrorResponse = (message, error) =>
+  toJsonRpcResponse(
+    createErrorResponse(isValidId(message.id) ? message.id : null, error)
+  )
@@ -0,0 +1,131 @@
+import {
+  createJsonRpcErrorResponse,
+  isJsonRpcBatch,
+  isJsonRpcMessage,
+  isJsonRpcNotification,
+  parseJsonRpcRequest,
+  toJsonRpcResponse
+} from './jsonRpc'
+import { createBridgeError } from './utils/createBridgeError'
+
+describe('jsonRpc', () => {
+  test('isJsonRpcMessage detects the envelope per message', () => {
+    expect(isJsonRpcMessage({ jsonrpc: '2.0', method: 'vaultsList' })).toBe(
+      true
+    )
+    expect(isJsonRpcMessage({ jsonrpc: '1.0', method: 'vaultsList' })).toBe(
+      true
+    )
+    expect(isJsonRpcMessage({ id: '1', command: 'vaultsList' })).toBe(false)
+    expect(isJsonRpcMessage([{ jsonrpc: '2.0' }])).toBe(false)
+    expect(isJsonRpcMessage(null)).toBe(false)
+  })
+
+  test('isJsonRpcBatch needs a non-empty array of JSON-RPC requests', () => {
+    expect(isJsonRpcBatch([{ jsonrpc: '2.0', method: 'a' }])).toBe(true)
+    expect(isJsonRpcBatch([{ jsonrpc: '2.0' }, { id: 1 }])).toBe(false)
+    expect(isJsonRpcBatch([])).toBe(false)
+  })
+
+  test('isJsonRpcNotification is true only without an id', () => {
+    expect(isJsonRpcNotification({ jsonrpc: '2.0', method: 'a' })).toBe(true)
+    expect(
+      isJsonRpcNotification({ jsonrpc: '2.0', id: null, method: 'a' })
+    ).toBe(false)
+  })
+
+  test('parseJsonRpcRequest converts to the native shape', () => {
+    expect(
+      parseJsonRpcRequest({
+        jsonrpc: '2.0',
+        id: 4,
+        method: 'vaultsGet',
+        params: { vaultId: 'v' }
+      })
+    ).toEqual({ id: 4, method: 'vaultsGet', params: { vaultId: 'v' } })
+  })
+
+  test.each([
+    [
+      { jsonrpc: '1.0', id: 1, method: 'a' },
+      'INVALID_MESSAGE',
+      'Unsupported JSON-RPC version: 1.0'
+    ],
+    [
+      { jsonrpc: '2.0', id: {}, method: 'a' },
+      'INVALID_MESSAGE',
+      'JSON-RPC id must be a string, number or null'
+    ],
+    [
+      { jsonrpc: '2.0', id: 1, method: 5 },
+      'INVALID_MESSAGE',
+      'JSON-RPC method must be a non-empty string'
+    ],
+    [
+      { jsonrpc: '2.0', id: 1, method: 'a', params: [1] },
+      'INVALID_PARAMS',
+      'JSON-RPC params must be an object of named params'
+    ]
+  ])('parseJsonRpcRequest rejects %j', (message, errorCode, error) => {
+    expect(() => parseJsonRpcRequest(message)).toThrow(
+      expect.objectContaining({ errorCode, message: error })
+    )
+  })
+
+  test('toJsonRpcResponse converts a success response', () => {
+    expect(toJsonRpcResponse({ id: '1', success: true, result: [1] })).toEqual({
+      jsonrpc: '2.0',
+      id: '1',
+      result: [1]
+    })
+    expect(toJsonRpcResponse({ id: '1', success: true })).toEqual({
+      jsonrpc: '2.0',
+      id: '1',
+      result: null
+    })
+  })
+
+  test.each([
+    ['UNKNOWN_METHOD', -32601],
+    ['INVALID_PARAMS', -32602],
+    ['INVALID_MESSAGE', -32600],
+    ['INTERNAL_ERROR', -32603],
+    ['IPC_TIMEOUT', -32000],
+    ['not-running', -32000]
+  ])('toJsonRpcResponse maps %s to code %i', (errorCode, code) => {
+    expect(
+      toJsonRpcResponse({
+        id: '2',
+        success: false,
+        error: 'Failed',
+        errorCode,
+        retryable: false,
+        field: 'params.vaultId'
+      })
+    ).toEqual({
+      jsonrpc: '2.0',
+      id: '2',
+      error: {
+        code,
+        message: 'Failed',
+        data: { errorCode, retryable: false, field: 'params.vaultId' }
+      }
+    })
+  })
+
+  test('createJsonRpcErrorResponse echoes only valid ids', () => {
+    const error = createBridgeError('INVALID_MESSAGE', 'Bad request')
+
+    expect(createJsonRpcErrorResponse({ id: 'x' }, error).id).toBe('x')
+    expect(createJsonRpcErrorResponse({ id: {} }, error).id).toBeNull()
+    expect(createJsonRpcErrorResponse({}, error)).toEqual({
+      jsonrpc: '2.0',
+      id: null,
+      error: {
+        code: -32600,
+        message: 'Bad request',
+        data: { errorCode: 'INVALID_MESSAGE', retryable: false }
+      }
+    })
+  })
+})
@@ -0,0 +1,278 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import { BROWSER_FAMILIES } from './constants/allowedExtensions.js'
+import {
+  BROWSERS,
+  NATIVE_HOST_DESCRIPTION,
+  NATIVE_HOST_NAME
+} from './constants/browsers.js'
+import { getAllowedExtensions } from './utils/callerIdentity.js'
+import { log } from './utils/log.js'
+
+/**
+ * @typedef {Object} ManifestOptions
+ * @property {string} [homeDir] - Home directory the browser paths are rooted at (defaults to os.homedir())
+ * @property {string} [platform] - Platform to install for (defaults to os.platform())
+ * @property {string[]} [browsers] - Browser keys from BROWSERS (defaults to all)
+ * @property {string} [hostName] - Native messaging host name
+ * @property {typeof fs} [fs] - Filesystem module (defaults to fs)
+ */
+
+/**
+ * @typedef {Object} InstallOptions
+ * @property {string} launcherPath - Absolute path of the executable the browser launches
+ * @property {Record<string, string[]>} [extensionIds] - Extension IDs per browser family (defaults to the allowlist)
+ * @property {boolean} [force] - Install even for browsers without a profile directory
+ */
+
+/**
+ * @typedef {Object} ManifestResult
+ * @property {string} browser - Browser key
+ * @property {string} manifestPath - Location of the manifest
+ * @property {'installed'|'skipped'|'removed'|'missing'} status - Outcome for this browser
+ */
+
+/**
+ * @typedef {Object} VerifyResult
+ * @property {string} browser - Browser key
+ * @property {string} manifestPath - Location of the manifest
+ * @property {boolean} installed - Whether a manifest exists
+ * @property {boolean} valid - Whether the manifest is well-formed for the browser
+ * @property {string|null} launcherPath - The manifest's `path`
+ * @property {boolean} launcherExecutable - Whether `path` is an executable file
+ * @property {string|null} error - Why the manifest is not usable
+ */
+
+/**
+ * @param {string} browser
+ * @param {string} platform
+ * @returns {{profileDir: string[], manifestDir: string[]}}
+ */
+const getBrowserPaths = (browser, platform) => {
+  const definition = BROWSERS[browser]
+  if (!definition) {
+    throw new Error(`Unknown browser: ${browser}`)
+  }
+
+  const paths = definition.paths[platform]
+  if (!paths) {
+    throw new Error(
+      `Installing native messaging manifests is not supported on ${platform}`
+    )
+  }
+  return paths
+}
+
+/**
+ * @param {ManifestOptions} options
+ * @returns {Required<ManifestOptions>}
+ */
+const resolveOptions = ({
+  homeDir = os.homedir(),
+  platform = os.platform(),
+  browsers = Object.keys(BROWSERS),
+  hostName = NATIVE_HOST_NAME,
+  fs: fsModule = fs
+} = {}) => ({ homeDir, platform, browsers, hostName, fs: fsModule })
+
+/**
+ * Build the host manifest for a browser. Chromium browsers list allowed
+ * extension origins; Firefox lists allowed add-on IDs.
+ * @param {Object} options
+ * @param {string} options.browser - Browser key from BROWSERS
+ * @param {string} options.launcherPath - Absolute path of the launcher
+ * @param {Record<string, string[]>} options.extensionIds - Extension IDs per browser family
+ * @param {string} [options.hostName] - Native messaging host name
+ * @returns {Object}
+ */
+export const createManifest = ({
+  browser,
+  launcherPath,
+  extensionIds,
+  hostName = NATIVE_HOST_NAME
+}) => {
+  const { family } = BROWSERS[browser] || {}
+  const manifest = {
+    name: hostName,
+    description: NATIVE_HOST_DESCRIPTION,
+    path: launcherPath,
+    type: 'stdio'
+  }
+
+  if (family === BROWSER_FAMILIES.FIREFOX) {
+    manifest.allowed_extensions = [...(extensionIds[family] || [])]
+  } else {
+    manifest.allowed_origins = (extensionIds[family] || []).map(
+      (id) => `chrome-extension://${id}/`
+    )
+  }
+
+  return manifest
+}
+
+/**
+ * Get the manifest location for a browser
+ * @param {string} browser - Browser key from BROWSERS
+ * @param {ManifestOptions} [options]
+ * @returns {string}
+ */
+export const getManifestPath = (browser, options) => {
+  const { homeDir, platform, hostName } = resolveOptions(options)
+  const { manifestDir } = getBrowserPaths(browser, platform)
+  return path.join(homeDir, ...manifestDir, `${hostName}.json`)
+}
+
+/**
+ * @param {string} browser - Browser key from BROWSERS
+ * @returns {string} The manifest key listing allowed extensions
+ */
+const getAllowedKey = (browser) =>
+  BROWSERS[browser].family === BROWSER_FAMILIES.FIREFOX
+    ? 'allowed_extensions'
+    : 'allowed_origins'
+
+/**
+ * Write host manifests for the selected browsers. Browsers without a
+ * profile directory are skipped unless `force` is set. Nothing is written
+ * unless every selected browser has at least one extension ID, since a
+ * manifest without IDs lets no extension launch the bridge.
+ * @param {ManifestOptions & InstallOptions} options
+ * @returns {ManifestResult[]}
+ */
+export const installManifests = (options) => {
+  const { launcherPath, force = false } = options
+  const extensionIds = options.extensionIds || getAllowedExtensions(process.env)
+  const resolved = resolveOptions(options)
+
+  if (!launcherPath || !path.isAbsolute(launcherPath)) {
+    throw new Error('launcherPath must be an absolute path')
+  }
+
+  const browsersWithoutIds = resolved.browsers.filter((browser) => {
+    getBrowserPaths(browser, resolved.platform)
+    return !extensionIds[BROWSERS[browser].family]?.length
+  })
+  if (browsersWithoutIds.length > 0) {
+    throw new Error(
+      `No extension IDs configured for ${browsersWithoutIds.join(', ')}`
+    )
+  }
+
+  return resolved.browsers.map((browser) => {
+    const { profileDir } = getBrowserPaths(browser, resolved.platform)
+    const manifestPath = getManifestPath(browser, resolved)
+
+    if (
+      !force &&
+      !resolved.fs.existsSync(path.join(resolved.homeDir, ...profileDir))
+    ) {
+      return { browser, manifestPath, status: 'skipped' }
+    }
+
+    const manifest = createManifest({
+      browser,
+      launcherPath,
+      extensionIds,
+      hostName: resolved.hostName
+    })
+    resolved.fs.mkdirSync(path.dirname(manifestPath), { recursive: true })
+    resolved.fs.writeFileSync(
+      manifestPath,
+      JSON.stringify(manifest, null, 2) + '\n'
+    )
+    log('INFO', `Installed native messaging manifest at ${manifestPath}`)
+
+    return { browser, manifestPath, status: 'installed' }
+  })
+}
+
+/**
+ * Remove host manifests for the selected browsers
+ * @param {ManifestOptions} [options]
+ * @returns {ManifestResult[]}
+ */
+export const uninstallManifests = (options) => {
+  const resolved = resolveOptions(options)
+
+  return resolved.browsers.map((browser) => {
+    const manifestPath = getManifestPath(browser, resolved)
+
+    if (!resolved.fs.existsSync(manifestPath)) {
+      return { browser, manifestPath, status: 'missing' }
+    }
+
+    resolved.fs.unlinkSync(manifestPath)
+    log('INFO', `Removed native messaging manifest at ${manifestPath}`)
+    return { browser, manifestPath, status: 'removed' }
+  })
+}
+
+/**
+ * @param {typeof fs} fsModule
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+const isExecutableFile = (fsModule, filePath) => {
+  try {
+    const stat = fsModule.statSync(filePath)
+    return stat.isFile() && (stat.mode & 0o111) !== 0
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Report which browsers have a usable manifest and whether its `path`
+ * points at an executable launcher
+ * @param {ManifestOptions} [options]
+ * @returns {VerifyResult[]}
+ */
+export const verifyManifests = (options) => {
+  const resolved = resolveOptions(options)
+
+  return resolved.browsers.map((browser) => {
+    const manifestPath = getManifestPath(browser, resolved)
+    const result = {
+      browser,
+      manifestPath,
+      installed: false,
+      valid: false,
+      launcherPath: null,
+      launcherExecutable: false,
+      error: null
+    }
+
+    if (!resolved.fs.existsSync(manifestPath)) {
+      return { ...result, error: 'Manifest not installed' }
+    }
+    result.installed = true
+
+    let manifest = null
+    try {
+      manifest = JSON.parse(resolved.fs.readFileSync(manifestPath, 'utf8'))
+    } catch (err) {
+      return { ...result, error: `Invalid manifest JSON: ${err.message}` }
+    }
+
+    const allowedKey = getAllowedKey(browser)
+
+    result.launcherPath = manifest.path || null
+    result.launcherExecutable =
+      !!manifest.path && isExecutableFile(resolved.fs, manifest.path)
+    result.valid =
+      manifest.name === resolved.hostName &&
+      manifest.type === 'stdio' &&
+      Array.isArray(manifest[allowedKey]) &&
+      manifest[allowedKey].length > 0
+
+    if (!result.valid) {
+      result.error = `Manifest must have name ${resolved.hostName}, type stdio and a non-empty ${allowedKey}`
+    } else if (!result.launcherExecutable) {
+      result.error = `Launcher is not an executable file: ${manifest.path}`
+    }
+
+    return result
+  })
+}
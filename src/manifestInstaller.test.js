@@ -0,0 +1,248 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import {
+  createManifest,
+  getManifestPath,
+  installManifests,
+  uninstallManifests,
+  verifyManifests
+} from './manifestInstaller'
+
+jest.mock('./utils/log', () => ({
+  log: jest.fn()
+}))
+
+const CHROME_ID = 'abcdefghijklmnopabcdefghijklmnop'
+const FIREFOX_ID = 'pearpass@example.com'
+const extensionIds = { chromium: [CHROME_ID], firefox: [FIREFOX_ID] }
+const HOST_FILE = 'com.pearpass.native_messaging_bridge.json'
+
+describe('manifestInstaller', () => {
+  let homeDir
+  let launcherPath
+
+  const readManifest = (browser) =>
+    JSON.parse(
+      fs.readFileSync(getManifestPath(browser, { homeDir, platform: 'linux' }))
+    )
+
+  beforeEach(() => {
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pearpass-home-'))
+    launcherPath = path.join(homeDir, 'pearpass-bridge.sh')
+    fs.writeFileSync(launcherPath, '#!/bin/sh\n')
+    fs.chmodSync(launcherPath, 0o755)
+  })
+
+  afterEach(() => {
+    fs.rmSync(homeDir, { recursive: true, force: true })
+  })
+
+  test('createManifest uses allowed_origins for Chromium browsers', () => {
+    expect(
+      createManifest({ browser: 'brave', launcherPath, extensionIds })
+    ).toEqual({
+      name: 'com.pearpass.native_messaging_bridge',
+      description: 'Native messaging bridge for PearPass browser extension',
+      path: launcherPath,
+      type: 'stdio',
+      allowed_origins: [`chrome-extension://${CHROME_ID}/`]
+    })
+  })
+
+  test('createManifest uses allowed_extensions for Firefox', () => {
+    const manifest = createManifest({
+      browser: 'firefox',
+      launcherPath,
+      extensionIds
+    })
+    expect(manifest.allowed_extensions).toEqual([FIREFOX_ID])
+    expect(manifest).not.toHaveProperty('allowed_origins')
+  })
+
+  test('getManifestPath resolves per-user Linux locations', () => {
+    const options = { homeDir: '/home/u', platform: 'linux' }
+    expect(getManifestPath('chrome', options)).toBe(
+      `/home/u/.config/google-chrome/NativeMessagingHosts/${HOST_FILE}`
+    )
+    expect(getManifestPath('firefox', options)).toBe(
+      `/home/u/.mozilla/native-messaging-hosts/${HOST_FILE}`
+    )
+    expect(() => getManifestPath('chrome', { platform: 'win32' })).toThrow(
+      'not supported on win32'
+    )
+    expect(() => getManifestPath('opera', options)).toThrow(
+      'Unknown browser: opera'
+    )
+  })
+
+  test('installs only for browsers with a profile directory', () => {
+    fs.mkdirSync(path.join(homeDir, '.config', 'google-chrome'), {
+      recursive: true
+    })
+    fs.mkdirSync(path.join(homeDir, '.mozilla'))
+
+    const results = installManifests({
+      homeDir,
+      platform: 'linux',
+      launcherPath,
+      extensionIds
+    })
+
+    const statuses = Object.fromEntries(
+      results.map(({ browser, status }) => [browser, status])
+    )
+    expect(statuses).toEqual({
+      chrome: 'installed',
+      chromium: 'skipped',
+      brave: 'skipped',
+      edge: 'skipped',
+      vivaldi: 'skipped',
+      firefox: 'installed'
+    })
+    expect(readManifest('chrome').allowed_origins).toEqual([
+      `chrome-extension://${CHROME_ID}/`
+    ])
+    expect(readManifest('firefox').allowed_extensions).toEqual([FIREFOX_ID])
+  })
+
+  test('force installs for browsers without a profile directory', () => {
+    const [result] = installManifests({
+      homeDir,
+      platform: 'linux',
+      browsers: ['vivaldi'],
+      launcherPath,
+      extensionIds,
+      force: true
+    })
+    expect(result.status).toBe('installed')
+    expect(fs.existsSync(result.manifestPath)).toBe(true)
+  })
+
+  test('rejects relative launcher paths', () => {
+    expect(() =>
+      installManifests({ homeDir, launcherPath: 'bridge.sh', extensionIds })
+    ).toThrow('launcherPath must be an absolute path')
+  })
+
+  test('refuses to install for browsers without extension IDs', () => {
+    expect(() =>
+      installManifests({
+        homeDir,
+        platform: 'linux',
+        browsers: ['chrome', 'firefox', 'edge'],
+        launcherPath,
+        extensionIds: { chromium: [], firefox: [FIREFOX_ID] },
+        force: true
+      })
+    ).toThrow('No extension IDs configured for chrome, edge')
+    expect(
+      fs.existsSync(getManifestPath('firefox', { homeDir, platform: 'linux' }))
+    ).toBe(false)
+  })
+
+  test('verify reports wiring and launcher executability', () => {
+    const options = { homeDir, platform: 'linux', extensionIds }
+    installManifests({
+      ...options,
+      browsers: ['chrome', 'firefox'],
+      launcherPath,
+      force: true
+    })
+    fs.chmodSync(launcherPath, 0o644)
+
+    const results = verifyManifests({
+      ...options,
+      browsers: ['chrome', 'edge']
+    })
+    expect(results[0]).toMatchObject({
+      browser: 'chrome',
+      installed: true,
+      valid: true,
+      launcherPath,
+      launcherExecutable: false,
+      error: `Launcher is not an executable file: ${launcherPath}`
+    })
+    expect(results[1]).toMatchObject({
+      browser: 'edge',
+      installed: false,
+      error: 'Manifest not installed'
+    })
+
+    fs.chmodSync(launcherPath, 0o755)
+    const [firefox] = verifyManifests({ ...options, browsers: ['firefox'] })
+    expect(firefox).toMatchObject({
+      valid: true,
+      launcherExecutable: true,
+      error: null
+    })
+  })
+
+  test('verify flags malformed manifests', () => {
+    const manifestPath = getManifestPath('chrome', {
+      homeDir,
+      platform: 'linux'
+    })
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true })
+    fs.writeFileSync(manifestPath, '{ not json')
+
+    const [result] = verifyManifests({
+      homeDir,
+      platform: 'linux',
+      browsers: ['chrome']
+    })
+    expect(result.installed).toBe(true)
+    expect(result.valid).toBe(false)
+    expect(result.error).toContain('Invalid manifest JSON')
+  })
+
+  test('verify flags manifests without allowed extensions', () => {
+    const manifestPath = getManifestPath('firefox', {
+      homeDir,
+      platform: 'linux'
+    })
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true })
+    fs.writeFileSync(
+      manifestPath,
+      JSON.stringify({
+        ...createManifest({ browser: 'firefox', launcherPath, extensionIds }),
+        allowed_extensions: []
+      })
+    )
+
+    const [result] = verifyManifests({
+      homeDir,
+      platform: 'linux',
+      browsers: ['firefox']
+    })
+    expect(result).toMatchObject({
+      installed: true,
+      valid: false,
+      error:
+        'Manifest must have name com.pearpass.native_messaging_bridge, type stdio and a non-empty allowed_extensions'
+    })
+  })
+
+  test('uninstall removes installed manifests', () => {
+    const options = { homeDir, platform: 'linux', browsers: ['chrome', 'edge'] }
+    installManifests({
+      ...options,
+      browsers: ['chrome'],
+      launcherPath,
+      extensionIds,
+      force: true
+    })
+
+    expect(
+      uninstallManifests(options).map(({ browser, status }) => [
+        browser,
+        status
+      ])
+    ).toEqual([
+      ['chrome', 'removed'],
+      ['edge', 'missing']
+    ])
+    expect(verifyManifests(options)[0].installed).toBe(false)
+  })
+})
@@ -0,0 +1,214 @@
+/**
+ * Chunked framing for messages larger than the native messaging size limit
+ */
+
+import { ERROR_CODES } from './constants/errorCodes.js'
+import { MESSAGE_LIMITS } from './constants/messageLimits.js'
+import { createBridgeError } from './utils/createBridgeError.js'
+
+/**
+ * @typedef {Object} ChunkFrame
+ * @property {string|number} id - Id of the message the chunk belongs to
+ * @property {number} chunk - Zero-based chunk index
+ * @property {number} total - Number of chunks in the message
+ * @property {string} data - Slice of the message's JSON text
+ */
+
+/**
+ * Check if a message is a chunk frame
+ * @param {*} message - The message to check
+ * @returns {boolean}
+ */
+export const isChunkFrame = (message) =>
+  !!message &&
+  typeof message === 'object' &&
+  Object.keys(message).length === 4 &&
+  'id' in message &&
+  Number.isInteger(message.chunk) &&
+  Number.isInteger(message.total) &&
+  typeof message.data === 'string'
+
+/**
+ * Split a message's JSON text into chunk frames. Chunks never end between
+ * the two halves of a surrogate pair, so every frame stays well-formed.
+ * @param {Object} message - The message to split
+ * @param {string|number} id - Id shared by every frame
+ * @param {number} [chunkLength] - Maximum UTF-16 code units per chunk
+ * @returns {ChunkFrame[]}
+ */
+export const createChunkFrames = (
+  message,
+  id,
+  chunkLength = MESSAGE_LIMITS.CHUNK_LENGTH
+) => {
+  const json = JSON.stringify(message)
+  const slices = []
+
+  let start = 0
+  while (start < json.length) {
+    let end = Math.min(start + chunkLength, json.length)
+    const lastCode = json.charCodeAt(end - 1)
+    if (end < json.length && lastCode >= 0xd800 && lastCode <= 0xdbff) {
+      end--
+    }
+    slices.push(json.slice(start, end))
+    start = end
+  }
+
+  return slices.map((data, chunk) => ({
+    id,
+    chunk,
+    total: slices.length,
+    data
+  }))
+}
+
+/**
+ * Chunk Reassembler - collects inbound chunk frames per message id and
+ * rebuilds the message once every chunk has arrived. Partial messages are
+ * capped in number and in total size; past either cap the oldest ones are
+ * dropped.
+ */
+export class ChunkReassembler {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxSize] - Largest reassembled message in bytes
+   * @param {number} [options.maxPendingSize] - Bytes of all partial messages together
+   * @param {number} [options.maxPendingMessages] - Partial messages kept at once
+   * @param {(error: Error, id: string|number) => void} [options.onEvict] - Called for each partial message dropped to stay within the caps
+   */
+  constructor({
+    maxSize = MESSAGE_LIMITS.REASSEMBLED_SIZE_LIMIT,
+    maxPendingSize = MESSAGE_LIMITS.PENDING_CHUNKS_SIZE_LIMIT,
+    maxPendingMessages = MESSAGE_LIMITS.MAX_PENDING_CHUNKED_MESSAGES,
+    onEvict = () => {}
+  } = {}) {
+    /** @type {number} */
+    this.maxSize = maxSize
+    /** @type {number} */
+    this.maxPendingSize = maxPendingSize
+    /** @type {number} */
+    this.maxPendingMessages = maxPendingMessages
+    /** @type {(error: Error, id: string|number) => void} */
+    this.onEvict = onEvict
+    /** @type {Map<string|number, {total: number, received: number, size: number, parts: string[]}>} */
+    this.pending = new Map()
+  }
+
+  /**
+   * Bytes held by partial messages
+   * @returns {number}
+   */
+  get pendingSize() {
+    let size = 0
+    for (const entry of this.pending.values()) {
+      size += entry.size
+    }
+    return size
+  }
+
+  /**
+   * Add a frame. Returns the rebuilt message once complete, otherwise null.
+   * Throws with errorCode `INVALID_CHUNK` for out-of-sequence frames and
+   * `PAYLOAD_TOO_LARGE` when the message exceeds maxSize or cannot fit
+   * within maxPendingSize; either way the partial message is discarded.
+   * @param {ChunkFrame} frame
+   * @returns {Object|null}
+   */
+  add({ id, chunk, total, data }) {
+    // A first chunk always starts the message over
+    if (chunk === 0) {
+      this.pending.delete(id)
+    }
+
+    const entry = this.pending.get(id) || {
+      total,
+      received: 0,
+      size: 0,
+      parts: []
+    }
+
+    if (total < 1 || total !== entry.total || chunk !== entry.received) {
+      this.pending.delete(id)
+      throw createBridgeError(
+        ERROR_CODES.INVALID_CHUNK,
+        `Unexpected chunk ${chunk}/${total} for message ${id}`
+      )
+    }
+
+    entry.size += Buffer.byteLength(data)
+    if (entry.size > this.maxSize) {
+      this.pending.delete(id)
+      throw createBridgeError(
+        ERROR_CODES.PAYLOAD_TOO_LARGE,
+        `Chunked message ${id} exceeds ${this.maxSize} bytes`
+      )
+    }
+
+    entry.parts.push(data)
+    entry.received++
+
+    if (entry.received < entry.total) {
+      this.pending.set(id, entry)
+      this._evictOldest(id)
+      return null
+    }
+
+    this.pending.delete(id)
+    try {
+      return JSON.parse(entry.parts.join(''))
+    } catch (err) {
+      throw createBridgeError(
+        ERROR_CODES.INVALID_CHUNK,
+        `Chunked message ${id} is not valid JSON: ${err.message}`
+      )
+    }
+  }
+
+  /**
+   * Drop the oldest partial messages until both caps hold again, reporting
+   * each through onEvict. The message still being added goes last, and is
+   * thrown for instead.
+   * @private
+   * @param {string|number} currentId - Id of the frame just added
+   */
+  _evictOldest(currentId) {
+    const isOverCap = () =>
+      this.pending.size > this.maxPendingMessages ||
+      this.pendingSize > this.maxPendingSize
+
+    for (const id of this.pending.keys()) {
+      if (!isOverCap()) {
+        return
+      }
+      if (id === currentId) {
+        continue
+      }
+
+      const error =
+        this.pending.size > this.maxPendingMessages
+          ? createBridgeError(
+              ERROR_CODES.INVALID_CHUNK,
+              `Chunked message ${id} dropped, more than ${this.maxPendingMessages} messages pending`
+            )
+          : createBridgeError(
+              ERROR_CODES.PAYLOAD_TOO_LARGE,
+              `Chunked message ${id} dropped, pending chunks exceed ${this.maxPendingSize} bytes`
+            )
+      this.pending.delete(id)
+      this.onEvict(error, id)
+    }
+
+    if (isOverCap()) {
+      this.pending.delete(currentId)
+      throw createBridgeError(
+        ERROR_CODES.PAYLOAD_TOO_LARGE,
+        `Chunked message ${currentId} exceeds the ${this.maxPendingSize} bytes of pending chunks`
+      )
+    }
+  }
+
+  clear() {
+    this.pending.clear()
+  }
+}
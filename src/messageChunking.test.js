@@ -0,0 +1,143 @@
+import {
+  ChunkReassembler,
+  createChunkFrames,
+  isChunkFrame
+} from './messageChunking'
+
+describe('messageChunking', () => {
+  const message = { id: '1', success: true, result: { text: 'abcdefghij' } }
+
+  test('createChunkFrames splits the JSON text into numbered frames', () => {
+    const frames = createChunkFrames(message, '1', 10)
+    const json = JSON.stringify(message)
+
+    expect(frames).toHaveLength(Math.ceil(json.length / 10))
+    frames.forEach((frame, index) => {
+      expect(frame).toEqual({
+        id: '1',
+        chunk: index,
+        total: frames.length,
+        data: json.slice(index * 10, index * 10 + 10)
+      })
+      expect(isChunkFrame(frame)).toBe(true)
+    })
+    expect(JSON.parse(frames.map(({ data }) => data).join(''))).toEqual(message)
+  })
+
+  test('createChunkFrames never splits a surrogate pair', () => {
+    const frames = createChunkFrames({ s: 'a😀😀😀' }, 'x', 8)
+    frames.forEach(({ data }) => {
+      const last = data.charCodeAt(data.length - 1)
+      expect(last >= 0xd800 && last <= 0xdbff).toBe(false)
+    })
+    expect(JSON.parse(frames.map(({ data }) => data).join(''))).toEqual({
+      s: 'a😀😀😀'
+    })
+  })
+
+  test('isChunkFrame rejects regular messages', () => {
+    expect(isChunkFrame({ id: '1', command: 'vaultsList' })).toBe(false)
+    expect(isChunkFrame({ id: '1', chunk: 0, total: 1 })).toBe(false)
+    expect(
+      isChunkFrame({ id: '1', chunk: 0, total: 1, data: '', extra: 1 })
+    ).toBe(false)
+    expect(isChunkFrame(null)).toBe(false)
+  })
+
+  describe('ChunkReassembler', () => {
+    let reassembler
+
+    beforeEach(() => {
+      reassembler = new ChunkReassembler({ maxSize: 100 })
+    })
+
+    test('rebuilds a message once every chunk has arrived', () => {
+      const frames = createChunkFrames(message, '1', 16)
+      const results = frames.map((frame) => reassembler.add(frame))
+
+      expect(results.slice(0, -1).every((result) => result === null)).toBe(true)
+      expect(results[results.length - 1]).toEqual(message)
+      expect(reassembler.pending.size).toBe(0)
+    })
+
+    test('keeps interleaved messages apart', () => {
+      const first = createChunkFrames({ a: 1 }, 'a', 4)
+      const second = createChunkFrames({ b: 2 }, 'b', 4)
+
+      expect(reassembler.add(first[0])).toBeNull()
+      expect(reassembler.add(second[0])).toBeNull()
+      expect(reassembler.add(first[1])).toEqual({ a: 1 })
+      expect(reassembler.add(second[1])).toEqual({ b: 2 })
+    })
+
+    test('rejects out-of-sequence chunks and drops the partial message', () => {
+      const frames = createChunkFrames(message, '1', 16)
+      reassembler.add(frames[0])
+
+      expect(() => reassembler.add(frames[2])).toThrow(
+        expect.objectContaining({ errorCode: 'INVALID_CHUNK' })
+      )
+      expect(reassembler.pending.size).toBe(0)
+    })
+
+    test('rejects messages larger than maxSize', () => {
+      const frames = createChunkFrames({ s: 'x'.repeat(200) }, '1', 60)
+
+      expect(() => frames.forEach((frame) => reassembler.add(frame))).toThrow(
+        expect.objectContaining({ errorCode: 'PAYLOAD_TOO_LARGE' })
+      )
+      expect(reassembler.pending.size).toBe(0)
+    })
+
+    test('drops the oldest partial message past maxPendingMessages', () => {
+      const onEvict = jest.fn()
+      reassembler = new ChunkReassembler({ maxPendingMessages: 2, onEvict })
+
+      for (const id of ['a', 'b', 'c']) {
+        reassembler.add({ id, chunk: 0, total: 2, data: '{}' })
+      }
+
+      expect([...reassembler.pending.keys()]).toEqual(['b', 'c'])
+      expect(onEvict).toHaveBeenCalledWith(
+        expect.objectContaining({
+          errorCode: 'INVALID_CHUNK',
+          message: 'Chunked message a dropped, more than 2 messages pending'
+        }),
+        'a'
+      )
+    })
+
+    test('drops the oldest partial messages past maxPendingSize', () => {
+      const onEvict = jest.fn()
+      reassembler = new ChunkReassembler({
+        maxSize: 100,
+        maxPendingSize: 25,
+        onEvict
+      })
+      const data = 'x'.repeat(10)
+
+      reassembler.add({ id: 'a', chunk: 0, total: 3, data })
+      reassembler.add({ id: 'b', chunk: 0, total: 3, data })
+      reassembler.add({ id: 'a', chunk: 1, total: 3, data })
+
+      expect([...reassembler.pending.keys()]).toEqual(['a'])
+      expect(reassembler.pendingSize).toBe(20)
+      expect(onEvict).toHaveBeenCalledWith(
+        expect.objectContaining({ errorCode: 'PAYLOAD_TOO_LARGE' }),
+        'b'
+      )
+
+      expect(() =>
+        reassembler.add({ id: 'c', chunk: 0, total: 3, data: 'x'.repeat(30) })
+      ).toThrow(expect.objectContaining({ errorCode: 'PAYLOAD_TOO_LARGE' }))
+      expect([...reassembler.pending.keys()]).toEqual([])
+      expect(onEvict).toHaveBeenLastCalledWith(expect.any(Error), 'a')
+    })
+
+    test('rejects chunks that do not join into JSON', () => {
+      expect(() =>
+        reassembler.add({ id: '1', chunk: 0, total: 1, data: '{"a":' })
+      ).toThrow(expect.objectContaining({ errorCode: 'INVALID_CHUNK' }))
+    })
+  })
+})
@@ -0,0 +1,109 @@
+/**
+ * Compressed message envelopes for the native messaging channel
+ */
+
+import zlib from 'zlib'
+
+import { ERROR_CODES } from './constants/errorCodes.js'
+import { MESSAGE_LIMITS } from './constants/messageLimits.js'
+import { createBridgeError } from './utils/createBridgeError.js'
+
+// Encodings the bridge can produce and decode, in order of preference
+export const COMPRESSION_ENCODINGS = Object.freeze({
+  DEFLATE: 'deflate'
+})
+
+// Error codes for inflating past maxOutputLength: Node's zlib, then bare-zlib
+const OUTPUT_LIMIT_ERROR_CODES = new Set([
+  'ERR_BUFFER_TOO_LARGE',
+  'LIMIT_EXCEEDED'
+])
+
+/**
+ * @typedef {Object} CompressedMessage
+ * @property {string|number} [id] - Id of the compressed message, if it has one
+ * @property {string} compressed - Encoding, e.g. 'deflate'
+ * @property {string} data - Base64 of the compressed JSON text
+ */
+
+/**
+ * Check if a message is a compressed envelope
+ * @param {*} message - The message to check
+ * @returns {boolean}
+ */
+export const isCompressedMessage = (message) =>
+  !!message &&
+  typeof message === 'object' &&
+  typeof message.compressed === 'string' &&
+  typeof message.data === 'string' &&
+  Object.keys(message).every((key) =>
+    ['id', 'compressed', 'data'].includes(key)
+  )
+
+/**
+ * Pick the first encoding the extension offers that the bridge supports
+ * @param {string[]} [offered] - Encodings the extension can decode, preferred first
+ * @returns {string|null}
+ */
+export const negotiateCompression = (offered = []) =>
+  offered.find((encoding) =>
+    Object.values(COMPRESSION_ENCODINGS).includes(encoding)
+  ) || null
+
+/**
+ * Compress a message into an envelope. The id stays readable so the
+ * extension can correlate the response before decoding it.
+ * @param {Object} message - The message to compress
+ * @param {string} encoding - One of COMPRESSION_ENCODINGS
+ * @returns {CompressedMessage}
+ */
+export const compressMessage = (message, encoding) => {
+  if (encoding !== COMPRESSION_ENCODINGS.DEFLATE) {
+    throw new Error(`Unsupported compression: ${encoding}`)
+  }
+
+  const data = zlib
+    .deflateSync(Buffer.from(JSON.stringify(message)))
+    .toString('base64')
+
+  return {
+    ...(message.id !== undefined && { id: message.id }),
+    compressed: encoding,
+    data
+  }
+}
+
+/**
+ * Decode a compressed envelope. Throws with errorCode
+ * `INVALID_COMPRESSED_MESSAGE` if it cannot be decoded, and
+ * `PAYLOAD_TOO_LARGE` if it inflates past maxSize.
+ * @param {CompressedMessage} envelope
+ * @param {number} [maxSize] - Largest decompressed message in bytes
+ * @returns {Object}
+ */
+export const decompressMessage = (
+  { compressed, data },
+  maxSize = MESSAGE_LIMITS.REASSEMBLED_SIZE_LIMIT
+) => {
+  try {
+    if (compressed !== COMPRESSION_ENCODINGS.DEFLATE) {
+      throw new Error(`unsupported compression ${compressed}`)
+    }
+    return JSON.parse(
+      zlib
+        .inflateSync(Buffer.from(data, 'base64'), { maxOutputLength: maxSize })
+        .toString('utf8')
+    )
+  } catch (err) {
+    if (OUTPUT_LIMIT_ERROR_CODES.has(err.code)) {
+      throw createBridgeError(
+        ERROR_CODES.PAYLOAD_TOO_LARGE,
+        `Compressed message inflates past ${maxSize} bytes`
+      )
+    }
+    throw createBridgeError(
+      ERROR_CODES.INVALID_COMPRESSED_MESSAGE,
+      `Failed to decompress message: ${err.message}`
+    )
+  }
+}
@@ -0,0 +1,116 @@
+import zlib from 'zlib'
+
+import {
+  compressMessage,
+  decompressMessage,
+  isCompressedMessage,
+  negotiateCompression
+} from './messageCompression'
+
+describe('messageCompression', () => {
+  const message = {
+    id: '5',
+    success: true,
+    result: Array.from({ length: 50 }, (_, i) => ({ id: i, type: 'login' }))
+  }
+
+  test('compressMessage builds a deflate + base64 envelope', () => {
+    const envelope = compressMessage(message, 'deflate')
+
+    expect(envelope).toEqual({
+      id: '5',
+      compressed: 'deflate',
+      data: expect.any(String)
+    })
+    expect(isCompressedMessage(envelope)).toBe(true)
+    expect(
+      JSON.parse(zlib.inflateSync(Buffer.from(envelope.data, 'base64')))
+    ).toEqual(message)
+    expect(envelope.data.length).toBeLessThan(JSON.stringify(message).length)
+  })
+
+  test('compressMessage omits the id of pushes', () => {
+    expect(
+      compressMessage({ event: 'vault-locked' }, 'deflate')
+    ).not.toHaveProperty('id')
+  })
+
+  test('compressMessage rejects unsupported encodings', () => {
+    expect(() => compressMessage(message, 'brotli')).toThrow(
+      'Unsupported compression: brotli'
+    )
+  })
+
+  test('decompressMessage round-trips an envelope', () => {
+    expect(decompressMessage(compressMessage(message, 'deflate'))).toEqual(
+      message
+    )
+  })
+
+  test.each([
+    [{ compressed: 'brotli', data: '' }, 'unsupported compression brotli'],
+    [
+      { compressed: 'deflate', data: 'bm90IGRlZmxhdGU=' },
+      'Failed to decompress'
+    ]
+  ])('decompressMessage rejects %j', (envelope, message) => {
+    expect(() => decompressMessage(envelope)).toThrow(
+      expect.objectContaining({
+        errorCode: 'INVALID_COMPRESSED_MESSAGE',
+        message: expect.stringContaining(message)
+      })
+    )
+  })
+
+  test('decompressMessage refuses envelopes that inflate past maxSize', () => {
+    const envelope = compressMessage({ s: 'x'.repeat(1000) }, 'deflate')
+
+    expect(() => decompressMessage(envelope, 500)).toThrow(
+      expect.objectContaining({
+        errorCode: 'PAYLOAD_TOO_LARGE',
+        message: 'Compressed message inflates past 500 bytes'
+      })
+    )
+    expect(decompressMessage(envelope, 2000)).toEqual({ s: 'x'.repeat(1000) })
+  })
+
+  test('decompressMessage reports the bare-zlib output limit as too large', () => {
+    const envelope = compressMessage({ s: 'x' }, 'deflate')
+    const limitError = Object.assign(
+      new Error(
+        'LIMIT_EXCEEDED: Output length exceeded maxOutputLength of 500 bytes'
+      ),
+      { code: 'LIMIT_EXCEEDED' }
+    )
+    const inflateSync = jest
+      .spyOn(zlib, 'inflateSync')
+      .mockImplementation(() => {
+        throw limitError
+      })
+
+    try {
+      expect(() => decompressMessage(envelope, 500)).toThrow(
+        expect.objectContaining({
+          errorCode: 'PAYLOAD_TOO_LARGE',
+          message: 'Compressed message inflates past 500 bytes'
+        })
+      )
+    } finally {
+      inflateSync.mockRestore()
+    }
+  })
+
+  test('isCompressedMessage rejects other messages', () => {
+    expect(isCompressedMessage({ event: 'x', data: 'y' })).toBe(false)
+    expect(isCompressedMessage({ id: '1', chunk: 0, total: 1, data: '' })).toBe(
+      false
+    )
+    expect(isCompressedMessage(null)).toBe(false)
+  })
+
+  test('negotiateCompression picks the first supported encoding', () => {
+    expect(negotiateCompression(['brotli', 'deflate'])).toBe('deflate')
+    expect(negotiateCompression(['brotli'])).toBeNull()
+    expect(negotiateCompression()).toBeNull()
+  })
+})
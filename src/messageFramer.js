@@ -0,0 +1,277 @@
+/**
+ * Incremental framer for the length-prefixed native messaging input stream
+ */
+
+import { ERROR_CODES } from './constants/errorCodes.js'
+import { MESSAGE_LIMITS } from './constants/messageLimits.js'
+import { createBridgeError } from './utils/createBridgeError.js'
+
+const HEADER_SIZE = 4
+
+// Chrome has been seen sending wrong length headers for messages of about
+// 255 bytes, so in robust mode those frames are delimited by bracket scanning
+const SUSPECT_LENGTH = 255
+const SUSPECT_LENGTH_MARGIN = 16
+
+const OPEN_BRACE = 0x7b
+const CLOSE_BRACE = 0x7d
+const OPEN_BRACKET = 0x5b
+const CLOSE_BRACKET = 0x5d
+const QUOTE = 0x22
+const BACKSLASH = 0x5c
+
+/**
+ * @typedef {Object} FramerResult
+ * @property {Buffer} [body] - Body of a complete frame
+ * @property {Error & {errorCode: string}} [error] - Why input was discarded instead
+ */
+
+/**
+ * @typedef {Object} ScanState
+ * @property {number} offset - Buffered bytes scanned so far
+ * @property {number} start - Offset of the opening brace or bracket, or -1 before it
+ * @property {number} depth - Open braces and brackets outside strings
+ * @property {boolean} inString
+ * @property {boolean} escaped
+ */
+
+/**
+ * Check if a length header falls in the range Chrome gets wrong
+ * @param {number} length
+ * @returns {boolean}
+ */
+const isSuspectLength = (length) =>
+  Math.abs(length - SUSPECT_LENGTH) <= SUSPECT_LENGTH_MARGIN
+
+/**
+ * Message Framer - buffers input chunks in a list and splits them into
+ * frame bodies. The length header is trusted unless, in robust mode, it is
+ * in the suspect range; such frames are delimited by scanning for the
+ * matching closing brace or bracket, keeping the scan state across chunks.
+ */
+export class MessageFramer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxLength] - Largest frame body in bytes
+   */
+  constructor({ maxLength = MESSAGE_LIMITS.MESSAGE_SIZE_LIMIT } = {}) {
+    /** @type {number} */
+    this.maxLength = maxLength
+    /** @type {Buffer[]} */
+    this.chunks = []
+    /** @type {number} */
+    this.length = 0
+    /** @type {number} */
+    this.bytesToSkip = 0
+    /** @type {ScanState|null} */
+    this.scan = null
+  }
+
+  /**
+   * @param {Buffer} chunk
+   */
+  push(chunk) {
+    if (chunk.length === 0) {
+      return
+    }
+    this.chunks.push(chunk)
+    this.length += chunk.length
+  }
+
+  /**
+   * Take the next frame off the buffered input. Returns null until a whole
+   * frame has arrived. Frames over maxLength are skipped and returned as an
+   * error with errorCode `PAYLOAD_TOO_LARGE`; input that never forms a JSON
+   * object or array is dropped with errorCode `INVALID_MESSAGE`.
+   * @param {Object} [options]
+   * @param {boolean} [options.robust] - Guard against Chrome's length header bugs
+   * @returns {FramerResult|null}
+   */
+  read({ robust = true } = {}) {
+    if (this.bytesToSkip > 0) {
+      this.bytesToSkip -= this._discard(this.bytesToSkip)
+      if (this.bytesToSkip > 0) {
+        return null
+      }
+    }
+
+    if (this.scan) {
+      return this._continueScan()
+    }
+
+    if (this.length < HEADER_SIZE) {
+      return null
+    }
+
+    const length = this._peek(HEADER_SIZE).readUInt32LE(0)
+
+    if (robust && isSuspectLength(length)) {
+      return this._startScan()
+    }
+
+    if (length > this.maxLength) {
+      this.bytesToSkip =
+        HEADER_SIZE + length - this._discard(HEADER_SIZE + length)
+      return {
+        error: createBridgeError(
+          ERROR_CODES.PAYLOAD_TOO_LARGE,
+          `Message of ${length} bytes exceeds ${this.maxLength} bytes`
+        )
+      }
+    }
+
+    if (this.length < HEADER_SIZE + length) {
+      return null
+    }
+
+    return { body: this._take(HEADER_SIZE + length).subarray(HEADER_SIZE) }
+  }
+
+  clear() {
+    this.chunks = []
+    this.length = 0
+    this.bytesToSkip = 0
+    this.scan = null
+  }
+
+  /**
+   * @private
+   * @returns {FramerResult|null}
+   */
+  _startScan() {
+    this.scan = {
+      offset: HEADER_SIZE,
+      start: -1,
+      depth: 0,
+      inString: false,
+      escaped: false
+    }
+    return this._continueScan()
+  }
+
+  /**
+   * Scan the bytes that arrived since the last call for the end of the
+   * JSON object or array. Structural characters are ASCII, so scanning the UTF-8
+   * bytes directly is safe.
+   * @private
+   * @returns {FramerResult|null}
+   */
+  _continueScan() {
+    const scan = this.scan
+    let position = 0
+
+    for (const chunk of this.chunks) {
+      const chunkEnd = position + chunk.length
+      for (let i = Math.max(scan.offset - position, 0); i < chunk.length; i++) {
+        const byte = chunk[i]
+
+        if (scan.escaped) {
+          scan.escaped = false
+        } else if (scan.inString) {
+          if (byte === BACKSLASH) {
+            scan.escaped = true
+          } else if (byte === QUOTE) {
+            scan.inString = false
+          }
+        } else if (byte === OPEN_BRACE || byte === OPEN_BRACKET) {
+          if (scan.start === -1) {
+            scan.start = position + i
+          }
+          scan.depth++
+        } else if (scan.start !== -1) {
+          if (byte === QUOTE) {
+            scan.inString = true
+          } else if (
+            (byte === CLOSE_BRACE || byte === CLOSE_BRACKET) &&
+            --scan.depth === 0
+          ) {
+            this.scan = null
+            return { body: this._take(position + i + 1).subarray(scan.start) }
+          }
+        }
+      }
+      position = chunkEnd
+    }
+    scan.offset = position
+
+    if (scan.offset - HEADER_SIZE > this.maxLength) {
+      const discarded = this.length
+      this.clear()
+      return {
+        error: createBridgeError(
+          ERROR_CODES.INVALID_MESSAGE,
+          `Discarded ${discarded} bytes without a valid message`
+        )
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Read up to `size` bytes from the front of the input without removing them
+   * @private
+   * @param {number} size
+   * @returns {Buffer}
+   */
+  _peek(size) {
+    const first = this.chunks[0]
+    if (first.length >= size || this.chunks.length === 1) {
+      return first.subarray(0, size)
+    }
+    return Buffer.concat(this.chunks, Math.min(size, this.length))
+  }
+
+  /**
+   * Remove `size` bytes from the front of the input and return them,
+   * concatenating only when the frame spans several chunks
+   * @private
+   * @param {number} size
+   * @returns {Buffer}
+   */
+  _take(size) {
+    const parts = []
+    let remaining = size
+
+    while (remaining > 0) {
+      const chunk = this.chunks[0]
+      if (chunk.length > remaining) {
+        parts.push(chunk.subarray(0, remaining))
+        this.chunks[0] = chunk.subarray(remaining)
+        remaining = 0
+      } else {
+        parts.push(chunk)
+        this.chunks.shift()
+        remaining -= chunk.length
+      }
+    }
+
+    this.length -= size
+    return parts.length === 1 ? parts[0] : Buffer.concat(parts, size)
+  }
+
+  /**
+   * Drop up to `size` bytes from the front of the input
+   * @private
+   * @param {number} size
+   * @returns {number} Bytes dropped
+   */
+  _discard(size) {
+    let remaining = Math.min(size, this.length)
+    const discarded = remaining
+
+    while (remaining > 0) {
+      const chunk = this.chunks[0]
+      if (chunk.length > remaining) {
+        this.chunks[0] = chunk.subarray(remaining)
+        remaining = 0
+      } else {
+        this.chunks.shift()
+        remaining -= chunk.length
+      }
+    }
+
+    this.length -= discarded
+    return discarded
+  }
+}
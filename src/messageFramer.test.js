@@ -0,0 +1,163 @@
+import { MessageFramer } from './messageFramer'
+
+describe('MessageFramer', () => {
+  let framer
+
+  const frame = (body, length = Buffer.byteLength(body)) => {
+    const buf = Buffer.alloc(4 + Buffer.byteLength(body))
+    buf.writeUInt32LE(length, 0)
+    buf.write(body, 4)
+    return buf
+  }
+
+  const readAll = (options) => {
+    const results = []
+    let result
+    while ((result = framer.read(options))) {
+      results.push(result.error || result.body.toString())
+    }
+    return results
+  }
+
+  beforeEach(() => {
+    framer = new MessageFramer()
+  })
+
+  test('returns null until the header and body have arrived', () => {
+    const buf = frame('{"id":"1"}')
+
+    framer.push(buf.subarray(0, 2))
+    expect(framer.read()).toBeNull()
+    framer.push(buf.subarray(2, 7))
+    expect(framer.read()).toBeNull()
+    framer.push(buf.subarray(7))
+
+    expect(framer.read().body.toString()).toBe('{"id":"1"}')
+    expect(framer.length).toBe(0)
+    expect(framer.chunks).toEqual([])
+  })
+
+  test('reads several frames from one chunk', () => {
+    framer.push(Buffer.concat([frame('{"a":1}'), frame('{"b":2}')]))
+    expect(readAll()).toEqual(['{"a":1}', '{"b":2}'])
+  })
+
+  test('reads a frame split across many chunks', () => {
+    const body = JSON.stringify({ data: 'x'.repeat(200000) })
+    const buf = frame(body)
+    for (let i = 0; i < buf.length; i += 65536) {
+      framer.push(buf.subarray(i, i + 65536))
+    }
+    expect(readAll()).toEqual([body])
+  })
+
+  test('ignores empty chunks', () => {
+    framer.push(Buffer.alloc(0))
+    expect(framer.chunks).toEqual([])
+  })
+
+  describe('robust parsing', () => {
+    test('scans for the closing brace when the header is near 255 bytes', () => {
+      const body = JSON.stringify({ id: '1', pad: 'z'.repeat(250) })
+      framer.push(Buffer.concat([frame(body, 255), frame('{"id":"2"}')]))
+
+      expect(readAll()).toEqual([body, '{"id":"2"}'])
+    })
+
+    test('keeps the scan state across chunks', () => {
+      const body = JSON.stringify({
+        id: '1',
+        text: 'a } "quoted" { b' + 'c'.repeat(230)
+      })
+      const buf = frame(body, 260)
+
+      framer.push(buf.subarray(0, 30))
+      expect(framer.read()).toBeNull()
+      expect(framer.scan).toEqual(expect.objectContaining({ offset: 30 }))
+      framer.push(buf.subarray(30, 100))
+      expect(framer.read()).toBeNull()
+      framer.push(buf.subarray(100))
+
+      expect(readAll()).toEqual([body])
+    })
+
+    test('trusts a header outside the suspect range whatever the body', () => {
+      framer.push(
+        Buffer.concat([
+          frame('42'),
+          frame('"ping"'),
+          frame('null'),
+          frame('{"id":"1"}')
+        ])
+      )
+      expect(readAll()).toEqual(['42', '"ping"', 'null', '{"id":"1"}'])
+    })
+
+    test('trusts the header for an array body', () => {
+      const body = JSON.stringify([{ id: '1' }, { id: '2' }])
+      framer.push(Buffer.concat([frame(body), frame('{"id":"3"}')]))
+      expect(readAll()).toEqual([body, '{"id":"3"}'])
+    })
+
+    test('scans for the closing bracket of an array', () => {
+      const body = JSON.stringify([
+        { id: '1', text: '] } [' },
+        { id: '2', pad: 'z'.repeat(220) }
+      ])
+      framer.push(Buffer.concat([frame(body, 255), frame('[{"id":"3"}]')]))
+      expect(readAll()).toEqual([body, '[{"id":"3"}]'])
+    })
+
+    test('discards input that never forms a message', () => {
+      framer = new MessageFramer({ maxLength: 100 })
+      framer.push(frame('a'.repeat(46), 255))
+      expect(framer.read()).toBeNull()
+      framer.push(Buffer.alloc(60, 'a'))
+
+      expect(framer.read().error).toEqual(
+        expect.objectContaining({
+          errorCode: 'INVALID_MESSAGE',
+          message: 'Discarded 110 bytes without a valid message'
+        })
+      )
+      expect(framer.length).toBe(0)
+      expect(framer.scan).toBeNull()
+    })
+  })
+
+  test('trusts the header near 255 bytes without robust parsing', () => {
+    framer.push(frame('{"id":"1"}'.padEnd(255)))
+    expect(readAll({ robust: false })).toEqual(['{"id":"1"}'.padEnd(255)])
+  })
+
+  test('skips frames over maxLength across chunks', () => {
+    framer = new MessageFramer({ maxLength: 10 })
+    const oversize = frame('{"data":"0123456789"}')
+    framer.push(oversize.subarray(0, 8))
+
+    expect(framer.read().error).toEqual(
+      expect.objectContaining({
+        errorCode: 'PAYLOAD_TOO_LARGE',
+        message: 'Message of 21 bytes exceeds 10 bytes'
+      })
+    )
+    expect(framer.bytesToSkip).toBe(17)
+
+    framer.push(Buffer.concat([oversize.subarray(8), frame('{"id":1}')]))
+    expect(readAll()).toEqual(['{"id":1}'])
+    expect(framer.bytesToSkip).toBe(0)
+  })
+
+  test('clear drops buffered input and state', () => {
+    framer.push(frame('{"id":"1"}', 255).subarray(0, 8))
+    framer.read()
+    framer.bytesToSkip = 3
+
+    framer.clear()
+
+    expect(framer.length).toBe(0)
+    expect(framer.chunks).toEqual([])
+    expect(framer.bytesToSkip).toBe(0)
+    expect(framer.scan).toBeNull()
+  })
+})
@@ -1,61 +1,151 @@
 import EventEmitter from 'events'
 
+import { ERROR_CODES } from './constants/errorCodes.js'
+import { MESSAGE_LIMITS } from './constants/messageLimits.js'
+import { TIMEOUTS } from './constants/timeouts.js'
 import {
+  ChunkReassembler,
+  createChunkFrames,
+  isChunkFrame
+} from './messageChunking.js'
+import {
+  compressMessage,
+  decompressMessage,
+  isCompressedMessage
+} from './messageCompression.js'
+import { MessageFramer } from './messageFramer.js'
+import {
+  createErrorResponse,
   wrapMessage,
   unwrapMessage,
   isWrappedMessage
 } from './nativeMessagingProtocol.js'
+import { createBridgeError } from './utils/createBridgeError.js'
 import { log } from './utils/log.js'
 
 // Constants
-const MESSAGE_SIZE_LIMIT = 1024 * 1024 // 1MB
+const MESSAGE_SIZE_LIMIT = MESSAGE_LIMITS.MESSAGE_SIZE_LIMIT
 const HEADER_SIZE = 4
 
+// Write error codes meaning the browser closed its end of the pipe
+const OUTPUT_CLOSED_CODES = [
+  'EPIPE',
+  'ECONNRESET',
+  'ERR_STREAM_DESTROYED',
+  'ERR_STREAM_WRITE_AFTER_END'
+]
+const MESSAGE_ID_PATTERN = /"id"\s*:\s*("(?:[^"\\]|\\.)*"|-?\d+)/
+
+/**
+ * Recover the id of a frame that failed to parse, so its error can be
+ * correlated by the extension
+ * @param {string} text - Raw frame text
+ * @returns {string|number|null}
+ */
+const extractMessageId = (text) => {
+  const match = MESSAGE_ID_PATTERN.exec(text)
+  if (!match) {
+    return null
+  }
+  try {
+    return JSON.parse(match[1])
+  } catch {
+    return null
+  }
+}
+
 /**
  * Native Messaging Handler - handles Chrome native messaging protocol
  * Includes robust parsing to handle Chrome's length header bugs
  * @extends EventEmitter
  */
 export class NativeMessagingHandler extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {NodeJS.ReadableStream} [options.stdin] - Input stream (defaults to process.stdin)
+   * @param {NodeJS.WritableStream} [options.stdout] - Output stream (defaults to process.stdout)
+   */
+  constructor({ stdin = process.stdin, stdout = process.stdout } = {}) {
     super()
-    /** @type {Buffer} */
-    this.inputBuffer = Buffer.alloc(0)
+    /** @type {NodeJS.ReadableStream} */
+    this.stdin = stdin
+    /** @type {NodeJS.WritableStream} */
+    this.stdout = stdout
+    /** @type {MessageFramer} */
+    this.framer = new MessageFramer()
     /** @type {boolean} */
-    this.messageInProgress = false
+    this.useRobustParsing = true // Use robust parsing by default
+    /** @type {ChunkReassembler} */
+    this.chunkReassembler = new ChunkReassembler({
+      onEvict: (error, id) => this._reportProtocolError(error, id)
+    })
+    /** @type {number} */
+    this.chunkSequence = 0
+    /** @type {string|null} */
+    this.compression = null
+    /** @type {number} */
+    this.compressionThreshold = MESSAGE_LIMITS.COMPRESSION_THRESHOLD
+    /** @type {{messages: number, originalBytes: number, compressedBytes: number}} */
+    this.compressionStats = {
+      messages: 0,
+      originalBytes: 0,
+      compressedBytes: 0
+    }
     /** @type {number} */
-    this.expectedMessageLength = 0
-    /** @type {string} */
-    this.accumulatedString = ''
+    this.protocolErrorCount = 0
+    /** @type {Buffer[]} */
+    this.writeQueue = []
     /** @type {boolean} */
-    this.useRobustParsing = true // Use robust parsing by default
+    this.waitingForDrain = false
+    /** @type {boolean} */
+    this.outputClosed = false
+    /** @type {Array<(flushed: boolean) => void>} */
+    this.flushWaiters = []
+  }
+
+  /**
+   * Frames queued behind stdout backpressure
+   * @returns {number}
+   */
+  get pendingFrameCount() {
+    return this.writeQueue.length
   }
 
   start() {
     log('INFO', 'Starting native messaging handler')
     this._setupStdinListeners()
-    process.stdin.resume()
+    this._setupStdoutListeners()
+    this.stdin.resume()
     log('INFO', 'Native messaging handler started')
   }
 
   /**
+   * Stream failures are fatal and emitted as `error`. Malformed frames are
+   * not: they are skipped, answered with a protocol-error frame and emitted
+   * as `protocolError`.
    * @private
    */
   _setupStdinListeners() {
-    process.stdin.on('data', (chunk) => this.handleIncomingChunk(chunk))
-    process.stdin.on('end', () => this.emit('disconnect'))
-    process.stdin.on('error', (err) => {
+    this.stdin.on('data', (chunk) => this.handleIncomingChunk(chunk))
+    this.stdin.on('end', () => this.emit('disconnect'))
+    this.stdin.on('error', (err) => {
       log('ERROR', `stdin error: ${err.message}`)
       this.emit('error', err)
     })
   }
 
+  /**
+   * @private
+   */
+  _setupStdoutListeners() {
+    this.stdout.on('error', (err) => this._handleWriteError(err))
+  }
+
   /**
    * @param {Buffer|string} chunk
    */
   handleIncomingChunk(chunk) {
-    const buffer = this._ensureBuffer(chunk)
-    this.inputBuffer = Buffer.concat([this.inputBuffer, buffer])
+    this.framer.push(this._ensureBuffer(chunk))
 
     while (this.processNextMessage()) {
       // Continue processing while we have complete messages
@@ -72,70 +162,21 @@ export class NativeMessagingHandler extends EventEmitter {
   }
 
   /**
-   * @returns {boolean}
+   * Handle the next complete frame, if one has arrived
+   * @returns {boolean} Whether a frame was consumed
    */
   processNextMessage() {
-    if (this.useRobustParsing) {
-      return this.processNextMessageRobust()
-    }
-    return this._processStandardMessage()
-  }
-
-  /**
-   * @private
-   * @returns {boolean}
-   */
-  _processStandardMessage() {
-    if (this.inputBuffer.length < HEADER_SIZE) {
+    const frame = this.framer.read({ robust: this.useRobustParsing })
+    if (!frame) {
       return false
     }
 
-    if (!this.messageInProgress && !this._readMessageLength()) {
-      return false
-    }
-
-    const totalLength = HEADER_SIZE + this.expectedMessageLength
-    if (this.inputBuffer.length < totalLength) {
-      return false
-    }
-
-    const messageBuffer = this.inputBuffer.slice(HEADER_SIZE, totalLength)
-    this.inputBuffer = this.inputBuffer.slice(totalLength)
-    this._resetMessageState()
-
-    return this._parseAndEmitMessage(messageBuffer)
-  }
-
-  /**
-   * @private
-   * @returns {boolean}
-   */
-  _readMessageLength() {
-    this.expectedMessageLength = this.inputBuffer.readUInt32LE(0)
-    this.messageInProgress = true
-
-    if (this.expectedMessageLength > MESSAGE_SIZE_LIMIT) {
-      log('ERROR', `Message too large: ${this.expectedMessageLength}`)
-      this._resetBuffer()
-      return false
+    if (frame.error) {
+      this._reportProtocolError(frame.error)
+      return true
     }
-    return true
-  }
-
-  /**
-   * @private
-   */
-  _resetMessageState() {
-    this.messageInProgress = false
-    this.expectedMessageLength = 0
-  }
 
-  /**
-   * @private
-   */
-  _resetBuffer() {
-    this.inputBuffer = Buffer.alloc(0)
-    this._resetMessageState()
+    return this._parseAndEmitMessage(frame.body)
   }
 
   /**
@@ -144,15 +185,23 @@ export class NativeMessagingHandler extends EventEmitter {
    * @returns {boolean}
    */
   _parseAndEmitMessage(messageBuffer) {
+    const text = messageBuffer.toString()
+    let message = null
+
     try {
-      const message = JSON.parse(messageBuffer.toString())
-      this._handleParsedMessage(message)
-      return true
+      message = JSON.parse(text)
     } catch (err) {
       log('ERROR', `Failed to parse message: ${err.message}`)
-      this.emit('error', new Error('Invalid JSON message'))
-      return false
+      // The framer has already consumed the frame, so the stream is in sync
+      this._reportProtocolError(
+        createBridgeError(ERROR_CODES.INVALID_MESSAGE, 'Invalid JSON message'),
+        extractMessageId(text)
+      )
+      return true
     }
+
+    this._handleParsedMessage(message)
+    return true
   }
 
   /**
@@ -163,153 +212,337 @@ export class NativeMessagingHandler extends EventEmitter {
     if (isWrappedMessage(message)) {
       const unwrapped = unwrapMessage(message)
       if (unwrapped) {
-        this.emit('message', unwrapped)
+        this._emitMessage(unwrapped)
       } else {
-        this.emit('error', new Error('Failed to unwrap protocol message'))
+        this._reportProtocolError(
+          createBridgeError(
+            ERROR_CODES.INVALID_MESSAGE,
+            'Failed to unwrap protocol message'
+          ),
+          message.message?.id
+        )
       }
     } else {
-      this.emit('message', message)
+      this._emitMessage(message)
     }
   }
 
   /**
-   * Robust message processing that handles Chrome's length header bugs
-   * Chrome sometimes sends incorrect length headers, especially around 255 bytes
-   * @returns {boolean}
+   * Emit a message, reassembling chunk frames and decoding compressed
+   * envelopes first. A message that cannot be decoded, or that is not a
+   * JSON object or array, is reported as a protocol error for its id.
+   * @private
+   * @param {*} message
    */
-  processNextMessageRobust() {
-    if (this.inputBuffer.length < 4) {
-      return false
-    }
+  _emitMessage(message) {
+    let decoded = message
 
-    // Skip Chrome's potentially incorrect length header
-    const dataAfterHeader = this.inputBuffer.slice(4).toString('utf8')
-    this.accumulatedString = dataAfterHeader
-
-    // Find complete JSON objects by parsing braces
-    let foundMessage = false
-    let startIndex = 0
+    try {
+      if (isChunkFrame(decoded)) {
+        decoded = this.chunkReassembler.add(decoded)
+        if (!decoded) {
+          return
+        }
+        log('INFO', `Reassembled chunked message ${message.id}`)
+      }
 
-    while (startIndex < this.accumulatedString.length) {
-      const openBrace = this.accumulatedString.indexOf('{', startIndex)
-      if (openBrace === -1) {
-        break
+      if (isCompressedMessage(decoded)) {
+        decoded = decompressMessage(decoded)
       }
+    } catch (err) {
+      log('ERROR', `Failed to decode message: ${err.message}`)
+      this._reportProtocolError(err, message.id)
+      return
+    }
 
-      // Parse JSON manually to find the end
-      let braceCount = 0
-      let inString = false
-      let escapeNext = false
-      let endIndex = -1
+    if (!decoded || typeof decoded !== 'object') {
+      this._reportProtocolError(
+        createBridgeError(
+          ERROR_CODES.INVALID_MESSAGE,
+          'Message must be a JSON object or array'
+        ),
+        message?.id
+      )
+      return
+    }
 
-      for (let i = openBrace; i < this.accumulatedString.length; i++) {
-        const char = this.accumulatedString[i]
+    this.emit('message', decoded)
+  }
 
-        if (escapeNext) {
-          escapeNext = false
-          continue
-        }
+  /**
+   * Count a recoverable protocol error and answer it with a protocol-error
+   * frame, echoing the id of the offending message when it is known
+   * @private
+   * @param {Error & {errorCode?: string}} error
+   * @param {string|number|null} [id]
+   */
+  _reportProtocolError(error, id = null) {
+    this.protocolErrorCount++
+    log(
+      'WARN',
+      `Protocol error ${this.protocolErrorCount} (${error.errorCode}): ${error.message}`
+    )
+    this.send({
+      ...createErrorResponse(id ?? null, error),
+      protocolError: true
+    })
+    this.emit('protocolError', error)
+  }
 
-        if (char === '\\') {
-          escapeNext = true
-          continue
-        }
+  /**
+   * Enable compression of outgoing messages larger than the threshold, or
+   * disable it with a null encoding
+   * @param {string|null} encoding - One of COMPRESSION_ENCODINGS
+   * @param {number} [threshold] - Smallest message in bytes worth compressing
+   */
+  setCompression(encoding, threshold = MESSAGE_LIMITS.COMPRESSION_THRESHOLD) {
+    this.compression = encoding
+    this.compressionThreshold = threshold
+    log(
+      'INFO',
+      encoding
+        ? `Compressing messages over ${threshold} bytes with ${encoding}`
+        : 'Message compression disabled'
+    )
+  }
 
-        if (char === '"') {
-          inString = !inString
-          continue
-        }
+  /**
+   * Send a message to the extension. With compression enabled, messages
+   * over the threshold are sent as a `{ id, compressed, data }` envelope
+   * when that is smaller. Messages over the 1 MB browser limit are split
+   * into `{ id, chunk, total, data }` frames whose `data` values, joined in
+   * order, are the message's JSON text.
+   *
+   * Frames are queued and written as stdout accepts them. Once the browser
+   * has gone away, messages are dropped.
+   * @param {Object} message
+   */
+  send(message) {
+    if (this.outputClosed) {
+      log('DEBUG', 'Browser went away, dropping message')
+      return
+    }
 
-        if (!inString) {
-          if (char === '{') {
-            braceCount++
-          } else if (char === '}') {
-            braceCount--
-            if (braceCount === 0) {
-              endIndex = i + 1
-              break
-            }
-          }
-        }
-      }
+    log('DEBUG', 'Sending message to extension')
 
-      if (endIndex === -1) {
-        // Incomplete JSON, wait for more data
-        return false
+    let buffers = null
+    try {
+      buffers = this._encode(message)
+    } catch (err) {
+      // A response that cannot be serialized must not take the host down
+      log('ERROR', `Failed to serialize message: ${err.message}`)
+      if (message?.id !== undefined && message.success === true) {
+        this.send(
+          createErrorResponse(
+            message.id,
+            createBridgeError(
+              ERROR_CODES.INTERNAL_ERROR,
+              `Failed to serialize response: ${err.message}`
+            )
+          )
+        )
       }
+      return
+    }
 
-      const jsonStr = this.accumulatedString.substring(openBrace, endIndex)
+    buffers.forEach((buffer) => this._enqueue(buffer))
+    this._flushQueue()
+    log('DEBUG', 'Message sent successfully')
+  }
 
-      try {
-        const message = JSON.parse(jsonStr)
-
-        if (isWrappedMessage(message)) {
-          const unwrapped = unwrapMessage(message)
-          if (unwrapped) {
-            this.emit('message', unwrapped)
-          } else {
-            this.emit('error', new Error('Failed to unwrap protocol message'))
-          }
-        } else {
-          this.emit('message', message)
-        }
+  /**
+   * Wait for queued frames to be handed to stdout, e.g. before exiting
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Longest wait in ms
+   * @returns {Promise<boolean>} Whether the queue was flushed
+   */
+  flush({ timeout = TIMEOUTS.OUTPUT_FLUSH } = {}) {
+    if (this.outputClosed) {
+      return Promise.resolve(false)
+    }
+    if (this.writeQueue.length === 0 && !this.waitingForDrain) {
+      return Promise.resolve(true)
+    }
 
-        // Remove processed message from buffer
-        const bytesToRemove =
-          4 +
-          Buffer.from(this.accumulatedString.substring(0, endIndex), 'utf8')
-            .length
-        this.inputBuffer = this.inputBuffer.slice(bytesToRemove)
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        log(
+          'WARN',
+          `Gave up flushing ${this.writeQueue.length} frame(s) after ${timeout}ms`
+        )
+        this.flushWaiters = this.flushWaiters.filter(
+          (waiter) => waiter !== done
+        )
+        resolve(false)
+      }, timeout)
+      const done = (flushed) => {
+        clearTimeout(timer)
+        resolve(flushed)
+      }
+      this.flushWaiters.push(done)
+    })
+  }
 
-        foundMessage = true
-        break
+  /**
+   * Write queued frames until stdout signals backpressure, then resume on
+   * `drain`
+   * @private
+   */
+  _flushQueue() {
+    while (
+      this.writeQueue.length > 0 &&
+      !this.waitingForDrain &&
+      !this.outputClosed
+    ) {
+      const frame = this.writeQueue.shift()
+      try {
+        if (this.stdout.write(frame) === false) {
+          this.waitingForDrain = true
+          log(
+            'DEBUG',
+            `stdout is full, ${this.writeQueue.length} frame(s) pending`
+          )
+          this.stdout.once('drain', () => {
+            this.waitingForDrain = false
+            this._flushQueue()
+          })
+        }
       } catch (err) {
-        log('ERROR', `Failed to parse JSON: ${err.message}`)
-        startIndex = openBrace + 1
+        this._handleWriteError(err)
+        return
       }
     }
 
-    // Clear buffer if it gets too large without valid messages
-    if (!foundMessage && this.inputBuffer.length > 10000) {
-      log('ERROR', 'Buffer too large without valid message, clearing')
-      this.inputBuffer = Buffer.alloc(0)
-      this.accumulatedString = ''
+    if (this.writeQueue.length === 0 && !this.waitingForDrain) {
+      this._settleFlush(true)
     }
+  }
 
-    return foundMessage
+  /**
+   * A closed pipe means the browser went away: the queue is dropped and
+   * `outputClosed` is emitted once. Other write failures are emitted as
+   * `error`.
+   * @private
+   * @param {Error & {code?: string}} err
+   */
+  _handleWriteError(err) {
+    if (this.outputClosed) {
+      return
+    }
+
+    if (!OUTPUT_CLOSED_CODES.includes(err.code)) {
+      log('ERROR', `Failed to send message: ${err.message}`)
+      this.emit('error', err)
+      return
+    }
+
+    log(
+      'INFO',
+      `Browser went away (${err.code}), dropping ${this.writeQueue.length} queued frame(s)`
+    )
+    this.outputClosed = true
+    this.writeQueue = []
+    this.waitingForDrain = false
+    this._settleFlush(false)
+    this.emit('outputClosed', err)
   }
 
   /**
+   * @private
+   * @param {boolean} flushed
+   */
+  _settleFlush(flushed) {
+    const waiters = this.flushWaiters
+    this.flushWaiters = []
+    waiters.forEach((waiter) => waiter(flushed))
+  }
+
+  /**
+   * Serialize a message into the frame bodies to write, compressing and
+   * chunking it as needed
+   * @private
    * @param {Object} message
+   * @returns {Buffer[]}
    */
-  send(message) {
-    try {
-      log('DEBUG', 'Sending message to extension')
+  _encode(message) {
+    let payload = message
+    let jsonBuffer = this._serialize(message)
+
+    if (this.compression && jsonBuffer.length > this.compressionThreshold) {
+      const envelope = compressMessage(message, this.compression)
+      const compressedBuffer = this._serialize(envelope)
+      this._recordCompression(
+        message.id,
+        jsonBuffer.length,
+        compressedBuffer.length
+      )
+      if (compressedBuffer.length < jsonBuffer.length) {
+        payload = envelope
+        jsonBuffer = compressedBuffer
+      }
+    }
 
-      // Wrap the message with protocol
-      const wrapped = wrapMessage(message)
-      const jsonStr = JSON.stringify(wrapped)
-      const jsonBuffer = Buffer.from(jsonStr)
+    if (jsonBuffer.length <= MESSAGE_SIZE_LIMIT) {
+      return [jsonBuffer]
+    }
 
-      // Create 4-byte length header
-      const header = Buffer.allocUnsafe(4)
-      header.writeUInt32LE(jsonBuffer.length, 0)
+    const id = payload.id ?? `chunked-${++this.chunkSequence}`
+    const frames = createChunkFrames(payload, id)
+    log(
+      'INFO',
+      `Sending ${jsonBuffer.length} byte message ${id} as ${frames.length} chunks`
+    )
+    return frames.map((frame) => this._serialize(frame))
+  }
 
-      // Write header and message
-      process.stdout.write(header)
-      process.stdout.write(jsonBuffer)
+  /**
+   * @private
+   * @param {string|number|undefined} id
+   * @param {number} originalSize
+   * @param {number} compressedSize
+   */
+  _recordCompression(id, originalSize, compressedSize) {
+    const stats = this.compressionStats
+    stats.messages++
+    stats.originalBytes += originalSize
+    stats.compressedBytes += Math.min(compressedSize, originalSize)
+
+    const ratio = (compressedSize / originalSize).toFixed(2)
+    const totalRatio = (stats.compressedBytes / stats.originalBytes).toFixed(2)
+    log(
+      'INFO',
+      `Compression ${id ?? 'push'}: ${originalSize} -> ${compressedSize} bytes (ratio ${ratio}${compressedSize < originalSize ? '' : ', sent uncompressed'}); session ${stats.originalBytes} -> ${stats.compressedBytes} bytes over ${stats.messages} messages (ratio ${totalRatio})`
+    )
+  }
 
-      log('DEBUG', 'Message sent successfully')
-    } catch (err) {
-      log('ERROR', `Failed to send message: ${err.message}`)
-      this.emit('error', err)
-    }
+  /**
+   * @private
+   * @param {Object} message
+   * @returns {Buffer} The wrapped message as JSON
+   */
+  _serialize(message) {
+    return Buffer.from(JSON.stringify(wrapMessage(message)))
+  }
+
+  /**
+   * Queue a length-prefixed frame for writing
+   * @private
+   * @param {Buffer} jsonBuffer
+   */
+  _enqueue(jsonBuffer) {
+    // Header and body go out as one buffer so a frame is never split
+    // between writes
+    const frame = Buffer.allocUnsafe(HEADER_SIZE + jsonBuffer.length)
+    frame.writeUInt32LE(jsonBuffer.length, 0)
+    jsonBuffer.copy(frame, HEADER_SIZE)
+    this.writeQueue.push(frame)
   }
 
   stop() {
-    process.stdin.pause()
-    process.stdin.removeAllListeners()
-    this.inputBuffer = Buffer.alloc(0)
+    this.stdin.pause()
+    this.stdin.removeAllListeners()
+    this.framer.clear()
+    this.chunkReassembler.clear()
     log('INFO', 'Native messaging handler stopped')
   }
 
@@ -1,3 +1,8 @@
+import EventEmitter from 'events'
+import zlib from 'zlib'
+
+import { compressMessage, decompressMessage } from './messageCompression'
+import { MessageFramer } from './messageFramer'
 import { NativeMessagingHandler } from './nativeMessagingHandler'
 
 const {
@@ -9,6 +14,8 @@ const { log } = require('./utils/log')
 
 // Mocks
 jest.mock('./nativeMessagingProtocol', () => ({
+  createErrorResponse: jest.requireActual('./nativeMessagingProtocol')
+    .createErrorResponse,
   wrapMessage: jest.fn((msg) => ({ wrapped: true, payload: msg })),
   unwrapMessage: jest.fn((msg) => msg.payload),
   isWrappedMessage: jest.fn((msg) => !!msg.wrapped)
@@ -30,10 +37,8 @@ describe('NativeMessagingHandler', () => {
   })
 
   test('constructor initializes properties', () => {
-    expect(handler.inputBuffer).toBeInstanceOf(Buffer)
-    expect(handler.messageInProgress).toBe(false)
-    expect(handler.expectedMessageLength).toBe(0)
-    expect(handler.accumulatedString).toBe('')
+    expect(handler.framer).toBeInstanceOf(MessageFramer)
+    expect(handler.framer.length).toBe(0)
     expect(handler.useRobustParsing).toBe(true)
   })
 
@@ -43,45 +48,6 @@ describe('NativeMessagingHandler', () => {
     expect(handler._ensureBuffer('abc')).toEqual(Buffer.from('abc', 'binary'))
   })
 
-  test('_readMessageLength sets expectedMessageLength and messageInProgress', () => {
-    const msg = { foo: 'bar' }
-    const json = JSON.stringify(msg)
-    const buf = Buffer.alloc(4 + Buffer.byteLength(json))
-    buf.writeUInt32LE(Buffer.byteLength(json), 0)
-    buf.write(json, 4)
-    handler.inputBuffer = buf
-    expect(handler._readMessageLength()).toBe(true)
-    expect(handler.expectedMessageLength).toBe(Buffer.byteLength(json))
-    expect(handler.messageInProgress).toBe(true)
-  })
-
-  test('_readMessageLength returns false if message too large', () => {
-    handler.inputBuffer = Buffer.alloc(4)
-    handler.inputBuffer.writeUInt32LE(1024 * 1024 + 1, 0)
-    expect(handler._readMessageLength()).toBe(false)
-    expect(log).toHaveBeenCalledWith(
-      'ERROR',
-      expect.stringContaining('Message too large')
-    )
-    expect(handler.inputBuffer.length).toBe(0)
-  })
-
-  test('_resetMessageState resets state', () => {
-    handler.messageInProgress = true
-    handler.expectedMessageLength = 123
-    handler._resetMessageState()
-    expect(handler.messageInProgress).toBe(false)
-    expect(handler.expectedMessageLength).toBe(0)
-  })
-
-  test('_resetBuffer resets buffer and state', () => {
-    handler.inputBuffer = Buffer.from('abc')
-    handler.messageInProgress = true
-    handler._resetBuffer()
-    expect(handler.inputBuffer.length).toBe(0)
-    expect(handler.messageInProgress).toBe(false)
-  })
-
   test('_parseAndEmitMessage emits message event for valid JSON', () => {
     const msg = { foo: 'bar' }
     const buf = Buffer.from(JSON.stringify(msg))
@@ -91,12 +57,21 @@ describe('NativeMessagingHandler', () => {
     expect(spy).toHaveBeenCalledWith(msg)
   })
 
-  test('_parseAndEmitMessage emits error for invalid JSON', () => {
+  test('_parseAndEmitMessage reports a protocol error for invalid JSON', () => {
     const buf = Buffer.from('not-json')
+    const errorSpy = jest.fn()
     const spy = jest.fn()
-    handler.on('error', spy)
-    handler._parseAndEmitMessage(buf)
-    expect(spy).toHaveBeenCalledWith(expect.any(Error))
+    handler.send = jest.fn()
+    handler.on('error', errorSpy)
+    handler.on('protocolError', spy)
+    expect(handler._parseAndEmitMessage(buf)).toBe(true)
+    expect(spy).toHaveBeenCalledWith(
+      expect.objectContaining({ errorCode: 'INVALID_MESSAGE' })
+    )
+    expect(errorSpy).not.toHaveBeenCalled()
+    expect(handler.send).toHaveBeenCalledWith(
+      expect.objectContaining({ id: null, protocolError: true })
+    )
     expect(log).toHaveBeenCalledWith(
       'ERROR',
       expect.stringContaining('Failed to parse message')
@@ -113,13 +88,21 @@ describe('NativeMessagingHandler', () => {
     expect(spy).toHaveBeenCalledWith(wrappedMsg.payload)
   })
 
-  test('_handleParsedMessage emits error if unwrap fails', () => {
+  test('_handleParsedMessage reports a protocol error if unwrap fails', () => {
     isWrappedMessage.mockReturnValue(true)
     unwrapMessage.mockReturnValue(undefined)
     const spy = jest.fn()
-    handler.on('error', spy)
-    handler._handleParsedMessage({ wrapped: true })
+    handler.send = jest.fn()
+    handler.on('protocolError', spy)
+    handler._handleParsedMessage({ wrapped: true, message: { id: '4' } })
     expect(spy).toHaveBeenCalledWith(expect.any(Error))
+    expect(handler.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: '4',
+        errorCode: 'INVALID_MESSAGE',
+        protocolError: true
+      })
+    )
   })
 
   test('_handleParsedMessage emits message if not wrapped', () => {
@@ -130,23 +113,23 @@ describe('NativeMessagingHandler', () => {
     expect(spy).toHaveBeenCalledWith({ foo: 'bar' })
   })
 
-  test('_processStandardMessage returns false if buffer too small', () => {
-    handler.inputBuffer = Buffer.alloc(2)
-    expect(handler._processStandardMessage()).toBe(false)
+  test('processNextMessage returns false until a frame is complete', () => {
+    handler.framer.push(Buffer.alloc(2))
+    expect(handler.processNextMessage()).toBe(false)
   })
 
-  test('_processStandardMessage processes valid message', () => {
+  test('processNextMessage processes valid message', () => {
     const msg = { foo: 'bar' }
     const json = JSON.stringify(msg)
     const buf = Buffer.alloc(4 + Buffer.byteLength(json))
     buf.writeUInt32LE(Buffer.byteLength(json), 0)
     buf.write(json, 4)
-    handler.inputBuffer = buf
+    handler.framer.push(buf)
     const spy = jest.fn()
     handler.on('message', spy)
-    expect(handler._processStandardMessage()).toBe(true)
+    expect(handler.processNextMessage()).toBe(true)
     expect(spy).toHaveBeenCalledWith(msg)
-    expect(handler.inputBuffer.length).toBe(0)
+    expect(handler.framer.length).toBe(0)
   })
 
   test('handleIncomingChunk processes chunk', () => {
@@ -161,57 +144,66 @@ describe('NativeMessagingHandler', () => {
     expect(spy).toHaveBeenCalledWith(msg)
   })
 
-  test('processNextMessage uses robust parsing if enabled', () => {
-    handler.useRobustParsing = true
-    const spy = jest
-      .spyOn(handler, 'processNextMessageRobust')
-      .mockReturnValue(true)
-    expect(handler.processNextMessage()).toBe(true)
-    expect(spy).toHaveBeenCalled()
-  })
+  test.each([true, false])(
+    'processNextMessage passes robust parsing (%s) to the framer',
+    (useRobustParsing) => {
+      handler.useRobustParsing = useRobustParsing
+      const spy = jest.spyOn(handler.framer, 'read').mockReturnValue(null)
+      expect(handler.processNextMessage()).toBe(false)
+      expect(spy).toHaveBeenCalledWith({ robust: useRobustParsing })
+    }
+  )
+
+  test('processNextMessage reports frames the framer discarded', () => {
+    handler.send = jest.fn()
+    const header = Buffer.alloc(4)
+    header.writeUInt32LE(1024 * 1024 + 1, 0)
+    handler.framer.push(Buffer.concat([header, Buffer.from('{')]))
 
-  test('processNextMessage uses standard parsing if disabled', () => {
-    handler.useRobustParsing = false
-    const spy = jest
-      .spyOn(handler, '_processStandardMessage')
-      .mockReturnValue(true)
     expect(handler.processNextMessage()).toBe(true)
-    expect(spy).toHaveBeenCalled()
+    expect(handler.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        errorCode: 'PAYLOAD_TOO_LARGE',
+        protocolError: true
+      })
+    )
+    expect(handler.processNextMessage()).toBe(false)
   })
 
-  describe('processNextMessageRobust', () => {
-    beforeEach(() => {
-      handler.useRobustParsing = true
-    })
+  test('handleIncomingChunk reads a message split across many chunks', () => {
+    const msg = {
+      id: '1',
+      command: 'import',
+      params: { data: 'x'.repeat(5000) }
+    }
+    const json = JSON.stringify(msg)
+    const buf = Buffer.alloc(4 + Buffer.byteLength(json))
+    buf.writeUInt32LE(Buffer.byteLength(json), 0)
+    buf.write(json, 4)
+    const spy = jest.fn()
+    handler.on('message', spy)
 
-    test('returns false if buffer too small', () => {
-      handler.inputBuffer = Buffer.alloc(2)
-      expect(handler.processNextMessageRobust()).toBe(false)
-    })
+    for (let i = 0; i < buf.length; i += 64) {
+      handler.handleIncomingChunk(buf.subarray(i, i + 64))
+    }
 
-    test('parses and emits message from robust buffer', () => {
-      const msg = { foo: 'bar' }
-      const json = JSON.stringify(msg)
-      const buf = Buffer.alloc(4 + Buffer.byteLength(json))
-      buf.writeUInt32LE(Buffer.byteLength(json), 0)
-      buf.write(json, 4)
-      handler.inputBuffer = buf
-      const spy = jest.fn()
-      handler.on('message', spy)
-      expect(handler.processNextMessageRobust()).toBe(true)
-      expect(spy).toHaveBeenCalledWith(msg)
-      expect(handler.inputBuffer.length).toBe(0)
-    })
+    expect(spy).toHaveBeenCalledTimes(1)
+    expect(spy).toHaveBeenCalledWith(msg)
+  })
 
-    test('clears buffer if too large without valid message', () => {
-      handler.inputBuffer = Buffer.alloc(10001, 'a')
-      expect(handler.processNextMessageRobust()).toBe(false)
-      expect(handler.inputBuffer.length).toBe(0)
-      expect(log).toHaveBeenCalledWith(
-        'ERROR',
-        expect.stringContaining('Buffer too large')
-      )
-    })
+  test('handleIncomingChunk recovers messages with a wrong length header near 255 bytes', () => {
+    const msg = { id: '2', command: 'ping', params: { pad: 'y'.repeat(220) } }
+    const json = JSON.stringify(msg)
+    const buf = Buffer.alloc(4 + Buffer.byteLength(json))
+    buf.writeUInt32LE(255, 0)
+    buf.write(json, 4)
+    const spy = jest.fn()
+    handler.on('message', spy)
+
+    handler.handleIncomingChunk(buf)
+
+    expect(spy).toHaveBeenCalledWith(msg)
+    expect(handler.framer.length).toBe(0)
   })
 
   test('send writes wrapped message to stdout', () => {
@@ -221,7 +213,13 @@ describe('NativeMessagingHandler', () => {
       .mockImplementation(() => {})
     handler.send(msg)
     expect(wrapMessage).toHaveBeenCalledWith(msg)
-    expect(fakeWrite).toHaveBeenCalledTimes(2)
+    expect(fakeWrite).toHaveBeenCalledTimes(1)
+    const [[frame]] = fakeWrite.mock.calls
+    expect(frame.readUInt32LE(0)).toBe(frame.length - 4)
+    expect(JSON.parse(frame.subarray(4))).toEqual({
+      wrapped: true,
+      payload: msg
+    })
     expect(log).toHaveBeenCalledWith(
       'DEBUG',
       expect.stringContaining('Sending message')
@@ -230,10 +228,13 @@ describe('NativeMessagingHandler', () => {
     fakeWrite.mockRestore()
   })
 
-  test('send emits error on failure', () => {
-    wrapMessage.mockImplementation(() => {
-      throw new Error('fail')
-    })
+  test('send emits error when stdout fails', () => {
+    const stdout = {
+      write: jest.fn(() => {
+        throw new Error('EPIPE')
+      })
+    }
+    handler = new NativeMessagingHandler({ stdout })
     const spy = jest.fn()
     handler.on('error', spy)
     handler.send({ foo: 'bar' })
@@ -244,6 +245,484 @@ describe('NativeMessagingHandler', () => {
     )
   })
 
+  test('send answers a response that cannot be serialized', () => {
+    const stdout = { write: jest.fn() }
+    handler = new NativeMessagingHandler({ stdout })
+    wrapMessage.mockImplementation((msg) => {
+      if (msg.success) {
+        throw new Error('circular')
+      }
+      return msg
+    })
+    const spy = jest.fn()
+    handler.on('error', spy)
+
+    handler.send({ id: '2', success: true, result: {} })
+
+    expect(spy).not.toHaveBeenCalled()
+    expect(JSON.parse(stdout.write.mock.calls[0][0].subarray(4))).toEqual({
+      id: '2',
+      success: false,
+      error: 'Failed to serialize response: circular',
+      errorCode: 'INTERNAL_ERROR',
+      retryable: false
+    })
+    expect(log).toHaveBeenCalledWith(
+      'ERROR',
+      expect.stringContaining('Failed to serialize message')
+    )
+  })
+
+  describe('write queue', () => {
+    let stdout
+
+    beforeEach(() => {
+      stdout = new EventEmitter()
+      stdout.write = jest.fn(() => true)
+      handler = new NativeMessagingHandler({
+        stdin: new EventEmitter(),
+        stdout
+      })
+      handler.stdin.resume = jest.fn()
+      wrapMessage.mockImplementation((msg) => msg)
+    })
+
+    test('queues frames while stdout is full and resumes on drain', () => {
+      stdout.write.mockReturnValueOnce(false)
+
+      handler.send({ id: '1' })
+      handler.send({ id: '2' })
+      handler.send({ id: '3' })
+
+      expect(stdout.write).toHaveBeenCalledTimes(1)
+      expect(handler.pendingFrameCount).toBe(2)
+
+      stdout.emit('drain')
+
+      expect(stdout.write).toHaveBeenCalledTimes(3)
+      expect(handler.pendingFrameCount).toBe(0)
+      expect(
+        stdout.write.mock.calls.map(([buf]) => JSON.parse(buf.subarray(4)).id)
+      ).toEqual(['1', '2', '3'])
+    })
+
+    test('flush resolves once the queue drains', async () => {
+      stdout.write.mockReturnValueOnce(false)
+      handler.send({ id: '1' })
+      handler.send({ id: '2' })
+
+      const flushed = handler.flush()
+      stdout.emit('drain')
+
+      await expect(flushed).resolves.toBe(true)
+      await expect(handler.flush()).resolves.toBe(true)
+    })
+
+    test('flush gives up after the timeout', async () => {
+      jest.useFakeTimers()
+      stdout.write.mockReturnValueOnce(false)
+      handler.send({ id: '1' })
+      handler.send({ id: '2' })
+
+      const flushed = handler.flush({ timeout: 100 })
+      jest.advanceTimersByTime(100)
+
+      await expect(flushed).resolves.toBe(false)
+      expect(handler.pendingFrameCount).toBe(1)
+      jest.useRealTimers()
+    })
+
+    test('signals outputClosed instead of error when the browser goes away', async () => {
+      const closed = jest.fn()
+      const error = jest.fn()
+      handler.on('outputClosed', closed)
+      handler.on('error', error)
+      handler.start()
+      stdout.write.mockReturnValueOnce(false)
+      handler.send({ id: '1' })
+      handler.send({ id: '2' })
+      const flushed = handler.flush()
+
+      stdout.emit(
+        'error',
+        Object.assign(new Error('write EPIPE'), { code: 'EPIPE' })
+      )
+      stdout.emit(
+        'error',
+        Object.assign(new Error('write EPIPE'), { code: 'EPIPE' })
+      )
+      handler.send({ id: '3' })
+
+      expect(closed).toHaveBeenCalledTimes(1)
+      expect(error).not.toHaveBeenCalled()
+      expect(handler.outputClosed).toBe(true)
+      expect(handler.pendingFrameCount).toBe(0)
+      expect(stdout.write).toHaveBeenCalledTimes(1)
+      await expect(flushed).resolves.toBe(false)
+    })
+
+    test('emits error for other write failures', () => {
+      const error = jest.fn()
+      handler.on('error', error)
+      handler.start()
+
+      stdout.emit(
+        'error',
+        Object.assign(new Error('no space'), { code: 'ENOSPC' })
+      )
+
+      expect(error).toHaveBeenCalledWith(
+        expect.objectContaining({ code: 'ENOSPC' })
+      )
+      expect(handler.outputClosed).toBe(false)
+    })
+  })
+
+  describe('malformed input', () => {
+    let stdout
+
+    const frame = (body) => {
+      const buf = Buffer.alloc(4 + Buffer.byteLength(body))
+      buf.writeUInt32LE(Buffer.byteLength(body), 0)
+      buf.write(body, 4)
+      return buf
+    }
+
+    const writtenMessages = () =>
+      stdout.write.mock.calls.map(([buf]) =>
+        JSON.parse(buf.subarray(4).toString())
+      )
+
+    beforeEach(() => {
+      stdout = { write: jest.fn() }
+      handler = new NativeMessagingHandler({ stdout })
+      wrapMessage.mockImplementation((msg) => msg)
+      isWrappedMessage.mockReturnValue(false)
+    })
+
+    test.each([true, false])(
+      'resyncs on the next frame (robust parsing: %s)',
+      (useRobustParsing) => {
+        handler.useRobustParsing = useRobustParsing
+        const spy = jest.fn()
+        const errorSpy = jest.fn()
+        handler.on('message', spy)
+        handler.on('error', errorSpy)
+
+        handler.handleIncomingChunk(
+          Buffer.concat([
+            frame('{"id":"1","command":ping}'),
+            frame('{"id":"2","command":"ping"}')
+          ])
+        )
+
+        expect(spy).toHaveBeenCalledTimes(1)
+        expect(spy).toHaveBeenCalledWith({ id: '2', command: 'ping' })
+        expect(errorSpy).not.toHaveBeenCalled()
+        expect(handler.protocolErrorCount).toBe(1)
+        expect(writtenMessages()).toEqual([
+          {
+            id: '1',
+            success: false,
+            error: 'Invalid JSON message',
+            errorCode: 'INVALID_MESSAGE',
+            retryable: false,
+            protocolError: true
+          }
+        ])
+      }
+    )
+
+    test('skips an oversize frame across chunks and reads the next one', () => {
+      handler.useRobustParsing = false
+      const spy = jest.fn()
+      handler.on('message', spy)
+      const header = Buffer.alloc(4)
+      header.writeUInt32LE(1024 * 1024 + 10, 0)
+
+      handler.handleIncomingChunk(
+        Buffer.concat([header, Buffer.alloc(1024 * 1024, 'a')])
+      )
+      handler.handleIncomingChunk(
+        Buffer.concat([Buffer.alloc(10, 'a'), frame('{"id":"5"}')])
+      )
+
+      expect(spy).toHaveBeenCalledWith({ id: '5' })
+      expect(handler.framer.bytesToSkip).toBe(0)
+      expect(writtenMessages()).toEqual([
+        expect.objectContaining({
+          id: null,
+          errorCode: 'PAYLOAD_TOO_LARGE',
+          protocolError: true
+        })
+      ])
+    })
+
+    test.each(['null', '42', '"ping"'])(
+      'answers a %s frame instead of emitting it',
+      (body) => {
+        const spy = jest.fn()
+        handler.on('message', spy)
+
+        handler.handleIncomingChunk(
+          Buffer.concat([frame(body), frame('{"id":"6"}')])
+        )
+
+        expect(spy).toHaveBeenCalledTimes(1)
+        expect(spy).toHaveBeenCalledWith({ id: '6' })
+        expect(writtenMessages()).toEqual([
+          {
+            id: null,
+            success: false,
+            error: 'Message must be a JSON object or array',
+            errorCode: 'INVALID_MESSAGE',
+            retryable: false,
+            protocolError: true
+          }
+        ])
+      }
+    )
+
+    test('counts every protocol error', () => {
+      handler.handleIncomingChunk(
+        Buffer.concat([frame('{"a":}'), frame('{"id":7,}')])
+      )
+
+      expect(handler.protocolErrorCount).toBe(2)
+      expect(writtenMessages().map(({ id }) => id)).toEqual([null, 7])
+      expect(log).toHaveBeenCalledWith(
+        'WARN',
+        expect.stringContaining('Protocol error 2')
+      )
+    })
+  })
+
+  describe('chunked messages', () => {
+    let stdout
+
+    const frame = (message) => {
+      const json = JSON.stringify(message)
+      const buf = Buffer.alloc(4 + Buffer.byteLength(json))
+      buf.writeUInt32LE(Buffer.byteLength(json), 0)
+      buf.write(json, 4)
+      return buf
+    }
+
+    const writtenMessages = () =>
+      stdout.write.mock.calls.map(([buf]) =>
+        JSON.parse(buf.subarray(4).toString())
+      )
+
+    beforeEach(() => {
+      stdout = { write: jest.fn() }
+      handler = new NativeMessagingHandler({ stdout })
+      wrapMessage.mockImplementation((msg) => msg)
+      isWrappedMessage.mockReturnValue(false)
+    })
+
+    test('send writes small messages in a single frame', () => {
+      handler.send({ id: '1', success: true })
+      expect(writtenMessages()).toEqual([{ id: '1', success: true }])
+    })
+
+    test('send splits messages over 1MB into chunk frames', () => {
+      const message = { id: '7', success: true, result: 'x'.repeat(1100000) }
+      handler.send(message)
+
+      const frames = writtenMessages()
+      expect(frames.length).toBeGreaterThan(1)
+      frames.forEach((chunkFrame, index) => {
+        expect(chunkFrame).toEqual({
+          id: '7',
+          chunk: index,
+          total: frames.length,
+          data: expect.any(String)
+        })
+      })
+      stdout.write.mock.calls.forEach(([buf]) => {
+        expect(buf.length).toBeLessThanOrEqual(1024 * 1024)
+      })
+      expect(JSON.parse(frames.map(({ data }) => data).join(''))).toEqual(
+        message
+      )
+    })
+
+    test('send gives chunked pushes without an id a generated one', () => {
+      handler.send({ event: 'vault-locked', data: 'x'.repeat(1100000) })
+      expect(writtenMessages()[0].id).toBe('chunked-1')
+    })
+
+    test('reassembles inbound chunk frames into one message', () => {
+      const message = { id: '9', command: 'encryptionAdd', params: { a: 1 } }
+      const frames = Buffer.concat(
+        JSON.stringify(message)
+          .match(/.{1,10}/g)
+          .map((data, chunk, all) =>
+            frame({ id: '9', chunk, total: all.length, data })
+          )
+      )
+      const spy = jest.fn()
+      handler.on('message', spy)
+
+      handler.handleIncomingChunk(frames)
+
+      expect(spy).toHaveBeenCalledTimes(1)
+      expect(spy).toHaveBeenCalledWith(message)
+    })
+
+    test('answers chunk frames that cannot be reassembled', () => {
+      const spy = jest.fn()
+      handler.on('message', spy)
+
+      handler.handleIncomingChunk(
+        frame({ id: '3', chunk: 1, total: 2, data: '{}' })
+      )
+
+      expect(spy).not.toHaveBeenCalled()
+      expect(writtenMessages()).toEqual([
+        {
+          id: '3',
+          success: false,
+          error: 'Unexpected chunk 1/2 for message 3',
+          errorCode: 'INVALID_CHUNK',
+          retryable: false,
+          protocolError: true
+        }
+      ])
+    })
+    test('answers partial messages dropped to stay within the pending caps', () => {
+      handler.chunkReassembler.maxPendingMessages = 1
+
+      handler.handleIncomingChunk(
+        Buffer.concat([
+          frame({ id: 'a', chunk: 0, total: 2, data: '{}' }),
+          frame({ id: 'b', chunk: 0, total: 2, data: '{}' })
+        ])
+      )
+
+      expect(writtenMessages()).toEqual([
+        {
+          id: 'a',
+          success: false,
+          error: 'Chunked message a dropped, more than 1 messages pending',
+          errorCode: 'INVALID_CHUNK',
+          retryable: false,
+          protocolError: true
+        }
+      ])
+      expect([...handler.chunkReassembler.pending.keys()]).toEqual(['b'])
+    })
+  })
+
+  describe('compression', () => {
+    let stdout
+
+    const writtenMessages = () =>
+      stdout.write.mock.calls.map(([buf]) =>
+        JSON.parse(buf.subarray(4).toString())
+      )
+
+    const largeMessage = {
+      id: '4',
+      success: true,
+      result: Array.from({ length: 2000 }, (_, i) => ({ id: i, type: 'login' }))
+    }
+
+    beforeEach(() => {
+      stdout = { write: jest.fn() }
+      handler = new NativeMessagingHandler({ stdout })
+      wrapMessage.mockImplementation((msg) => msg)
+      isWrappedMessage.mockReturnValue(false)
+    })
+
+    test('sends messages uncompressed until compression is enabled', () => {
+      handler.send(largeMessage)
+      expect(writtenMessages()).toEqual([largeMessage])
+    })
+
+    test('compresses messages over the threshold and logs the ratio', () => {
+      handler.setCompression('deflate', 1024)
+      handler.send({ id: '1', success: true })
+      handler.send(largeMessage)
+
+      const [small, large] = writtenMessages()
+      expect(small).toEqual({ id: '1', success: true })
+      expect(large).toEqual({
+        id: '4',
+        compressed: 'deflate',
+        data: expect.any(String)
+      })
+      expect(decompressMessage(large)).toEqual(largeMessage)
+      expect(handler.compressionStats.messages).toBe(1)
+      expect(log).toHaveBeenCalledWith(
+        'INFO',
+        expect.stringMatching(
+          /^Compression 4: \d+ -> \d+ bytes \(ratio 0\.\d+\)/
+        )
+      )
+    })
+
+    test('sends incompressible messages as they are', () => {
+      handler.setCompression('deflate', 0)
+      const message = { id: '2', result: 'aZ9' }
+      handler.send(message)
+      expect(writtenMessages()).toEqual([message])
+      expect(log).toHaveBeenCalledWith(
+        'INFO',
+        expect.stringContaining('sent uncompressed')
+      )
+    })
+
+    test('decodes inbound compressed envelopes', () => {
+      const message = { id: '6', command: 'encryptionAdd', params: { a: 1 } }
+      const spy = jest.fn()
+      handler.on('message', spy)
+      handler._handleParsedMessage(compressMessage(message, 'deflate'))
+      expect(spy).toHaveBeenCalledWith(message)
+    })
+
+    test('answers envelopes that inflate past the size limit', () => {
+      const spy = jest.fn()
+      handler.on('message', spy)
+      handler._handleParsedMessage({
+        id: '9',
+        compressed: 'deflate',
+        data: zlib
+          .deflateSync(Buffer.alloc(64 * 1024 * 1024 + 1, ' '))
+          .toString('base64')
+      })
+      expect(spy).not.toHaveBeenCalled()
+      expect(writtenMessages()).toEqual([
+        {
+          id: '9',
+          success: false,
+          error: 'Compressed message inflates past 67108864 bytes',
+          errorCode: 'PAYLOAD_TOO_LARGE',
+          retryable: false,
+          protocolError: true
+        }
+      ])
+    })
+
+    test('answers envelopes that cannot be decoded', () => {
+      const spy = jest.fn()
+      handler.on('message', spy)
+      handler._handleParsedMessage({
+        id: '8',
+        compressed: 'deflate',
+        data: 'garbage'
+      })
+      expect(spy).not.toHaveBeenCalled()
+      expect(writtenMessages()).toEqual([
+        expect.objectContaining({
+          id: '8',
+          success: false,
+          errorCode: 'INVALID_COMPRESSED_MESSAGE'
+        })
+      ])
+    })
+  })
+
   test('stop pauses stdin and clears buffer', () => {
     const pause = jest
       .spyOn(process.stdin, 'pause')
@@ -251,11 +730,11 @@ describe('NativeMessagingHandler', () => {
     const removeAllListeners = jest
       .spyOn(process.stdin, 'removeAllListeners')
       .mockImplementation(() => {})
-    handler.inputBuffer = Buffer.from('abc')
+    handler.framer.push(Buffer.from('abc'))
     handler.stop()
     expect(pause).toHaveBeenCalled()
     expect(removeAllListeners).toHaveBeenCalled()
-    expect(handler.inputBuffer.length).toBe(0)
+    expect(handler.framer.length).toBe(0)
     expect(log).toHaveBeenCalledWith('INFO', 'Native messaging handler stopped')
     pause.mockRestore()
     removeAllListeners.mockRestore()
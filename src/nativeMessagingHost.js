@@ -0,0 +1,1490 @@
+// Native messaging host - bridges browser extension to PearPass desktop app via IPC
+
+import fs from 'fs'
+import os from 'os'
+
+import IPC from 'pear-ipc'
+
+import { BATCH_MODES, isBatchMessage, parseBatch } from './batchRequests.js'
+import { ALLOWED_EXTENSION_IDS_ENV } from './constants/allowedExtensions.js'
+import {
+  COMMAND_DEFINITIONS,
+  PUSH_DEFINITIONS,
+  describeCommands,
+  getCommandAccess,
+  getCommandDefinition,
+  getCommandTimeout,
+  getParamsSchema,
+  getPushEventName,
+  isValidCommand
+} from './constants/commandDefinitions.js'
+import {
+  DESKTOP_APP_STATUS,
+  STATUS_HINTS,
+  STATUS_MESSAGES
+} from './constants/desktopAppStatus.js'
+import { ERROR_CODES } from './constants/errorCodes.js'
+import { LOG_DESTINATIONS, LOG_LEVELS } from './constants/logging.js'
+import { MESSAGE_LIMITS } from './constants/messageLimits.js'
+import {
+  BRIDGE_CAPABILITIES,
+  BRIDGE_VERSION,
+  MIN_PROTOCOL_VERSION,
+  PROTOCOL_VERSION
+} from './constants/protocol.js'
+import {
+  ACCESS_LEVELS,
+  SESSION_STATES,
+  SESSION_TRANSITIONS,
+  isAllowedInSessionState,
+  isSuccessfulTransitionResult
+} from './constants/sessionPolicy.js'
+import { TIMEOUTS } from './constants/timeouts.js'
+import {
+  EventSubscriptions,
+  SUBSCRIBE_PARAMS_SCHEMA,
+  UNSUBSCRIBE_PARAMS_SCHEMA
+} from './eventSubscriptions.js'
+import {
+  createJsonRpcErrorResponse,
+  isJsonRpcBatch,
+  isJsonRpcMessage,
+  isJsonRpcNotification,
+  parseJsonRpcRequest,
+  toJsonRpcResponse
+} from './jsonRpc.js'
+import { negotiateCompression } from './messageCompression.js'
+import { NativeMessagingHandler } from './nativeMessagingHandler.js'
+import { createErrorResponse } from './nativeMessagingProtocol.js'
+import { ReconnectSupervisor } from './reconnectSupervisor.js'
+import { SocketWatcher } from './socketWatcher.js'
+import {
+  getConnectionErrorCode,
+  getDesktopAppStatusFromError
+} from './utils/getDesktopAppStatusFromError.js'
+import {
+  getAllowedExtensions,
+  isCallerAllowed,
+  parseCallerIdentity
+} from './utils/callerIdentity.js'
+import { createBridgeError } from './utils/createBridgeError.js'
+import { getIpcPath } from './utils/getIpcPath.js'
+import { configureLogging, flushLogs, getLogConfig, log } from './utils/log.js'
+import { validateParams } from './utils/validateParams.js'
+
+/**
+ * @typedef {Object} Message
+ * @property {string} id - Unique message identifier
+ * @property {string} [method] - Method to call
+ * @property {string} [command] - Command to execute (alternative to method)
+ * @property {Object} [params] - Parameters for the method/command
+ * @property {number} [timeout] - Deadline in ms; only honoured when shorter than the command's limit
+ */
+
+/**
+ * @typedef {Object} Response
+ * @property {string} id - Message identifier
+ * @property {boolean} success - Whether the operation succeeded
+ * @property {*} [result] - Operation result
+ * @property {string} [error] - Error message if failed
+ * @property {string} [errorCode] - Code from ERROR_CODES, or the desktop app status, if failed
+ * @property {boolean} [retryable] - Whether sending the same request later may succeed
+ * @property {{command: string, limit: number, source: string}} [timeout] - Limit that fired if the call timed out
+ * @property {string} [field] - Path of the offending param for INVALID_PARAMS errors
+ * @property {string} [desktopErrorCode] - Code the desktop app attached to a DESKTOP_ERROR
+ * @property {Object} [protocol] - Versions the bridge supports if `hello` was refused
+ */
+
+/**
+ * @typedef {Object} PeerInfo
+ * @property {string|null} version - Extension version
+ * @property {number} protocolVersion - Extension protocol version
+ * @property {string[]} capabilities - Capabilities agreed in `hello`
+ */
+
+/**
+ * @typedef {Object} InFlightRequest
+ * @property {string} methodName - Command being executed
+ * @property {Promise<never>} cancelled - Rejects once the request is cancelled
+ * @property {boolean} isCancelled - Whether the request was cancelled
+ * @property {() => void} cancel - Cancels the request
+ */
+
+/**
+ * @typedef {Object} Timers
+ * @property {typeof setTimeout} setTimeout
+ * @property {typeof clearTimeout} clearTimeout
+ */
+
+/**
+ * @typedef {Object} NativeMessagingHostOptions
+ * @property {NodeJS.ReadableStream} [stdin] - Stream the extension writes to (defaults to process.stdin)
+ * @property {NodeJS.WritableStream} [stdout] - Stream the extension reads from (defaults to process.stdout)
+ * @property {NativeMessagingHandler} [handler] - Pre-built handler; takes precedence over stdin/stdout
+ * @property {(options: Object) => import('pear-ipc').Client} [createIpcClient] - IPC client factory
+ * @property {string} [socketPath] - IPC socket path (defaults to getIpcPath('pearpass-native-messaging'))
+ * @property {Timers} [timers] - Timer functions used for connection and call timeouts
+ * @property {number} [maxPendingRequests] - Requests that may wait for a connection at once
+ * @property {{initialDelay?: number, maxDelay?: number, random?: () => number}} [reconnect] - Background reconnect backoff settings
+ * @property {SocketWatcher|null} [socketWatcher] - Watcher for the IPC socket (defaults to one on socketPath; null disables it, as on Windows)
+ * @property {string[]} [callerArgs] - Arguments the browser launched the host with (defaults to process.argv.slice(2))
+ * @property {Record<string, string[]>|null} [allowedExtensions] - Extension IDs allowed per browser family; null disables caller verification
+ */
+
+// Upper bound on requests waiting for the desktop app connection
+const MAX_PENDING_REQUESTS = 100
+
+// Params of the `capabilities` control message
+const CAPABILITIES_PARAMS_SCHEMA = Object.freeze({
+  properties: {
+    compression: { type: 'array', items: { type: 'string' } },
+    compressionThreshold: { type: 'integer', min: 0 }
+  },
+  stripUnknown: true
+})
+
+// Secure channel steps whose failure leaves no usable channel
+const HANDSHAKE_COMMANDS = Object.freeze([
+  'nmBeginHandshake',
+  'nmFinishHandshake'
+])
+
+// Params of the `hello` control message, which can also negotiate
+// compression like `capabilities`
+const HELLO_PARAMS_SCHEMA = Object.freeze({
+  properties: {
+    version: { type: 'string', maxLength: 64 },
+    protocolVersion: { type: 'integer', required: true, min: 1 },
+    minProtocolVersion: { type: 'integer', min: 1 },
+    capabilities: { type: 'array', items: { type: 'string' } },
+    ...CAPABILITIES_PARAMS_SCHEMA.properties
+  },
+  stripUnknown: true
+})
+
+// Params of the `logging` control message; both fields are optional
+const LOGGING_PARAMS_SCHEMA = Object.freeze({
+  properties: {
+    level: { type: 'string', enum: Object.values(LOG_LEVELS) },
+    destination: { type: 'string', enum: Object.values(LOG_DESTINATIONS) }
+  },
+  stripUnknown: true
+})
+
+/**
+ * @param {Object} options
+ * @returns {import('pear-ipc').Client}
+ */
+const defaultCreateIpcClient = (options) => new IPC.Client(options)
+
+/**
+ * Give an error thrown by an IPC call its catalogue code. Errors raised by
+ * the desktop app keep the code it attached as `desktopErrorCode`.
+ * @param {Error & {errorCode?: string, code?: string}} error
+ * @returns {Error & {errorCode: string}}
+ */
+const toIpcCallError = (error) => {
+  if (error.errorCode) {
+    return error
+  }
+
+  if (error.message.includes('RPC destroyed')) {
+    return createBridgeError(ERROR_CODES.IPC_DISCONNECTED, error.message)
+  }
+
+  return createBridgeError(
+    ERROR_CODES.DESKTOP_ERROR,
+    error.message,
+    typeof error.code === 'string' ? { desktopErrorCode: error.code } : {}
+  )
+}
+
+/** @type {Timers} */
+const defaultTimers = {
+  setTimeout: (...args) => setTimeout(...args),
+  clearTimeout: (...args) => clearTimeout(...args)
+}
+
+export class NativeMessagingHost {
+  /**
+   * @param {NativeMessagingHostOptions} [options]
+   */
+  constructor({
+    stdin,
+    stdout,
+    handler,
+    createIpcClient = defaultCreateIpcClient,
+    socketPath,
+    timers = defaultTimers,
+    maxPendingRequests = MAX_PENDING_REQUESTS,
+    reconnect = {},
+    socketWatcher,
+    callerArgs = process.argv.slice(2),
+    allowedExtensions = getAllowedExtensions(process.env)
+  } = {}) {
+    /** @type {NativeMessagingHandler} */
+    this.handler = handler || new NativeMessagingHandler({ stdin, stdout })
+    /** @type {(options: Object) => import('pear-ipc').Client} */
+    this.createIpcClient = createIpcClient
+    /** @type {Timers} */
+    this.timers = timers
+    /** @type {import('pear-ipc').Client|null} */
+    this.ipcClient = null
+    /** @type {boolean} */
+    this.isRunning = false
+    /** @type {string} */
+    this.socketPath = socketPath || getIpcPath('pearpass-native-messaging')
+    /** @type {string} */
+    this.desktopAppStatus = DESKTOP_APP_STATUS.UNKNOWN
+    /** @type {string} */
+    this.lastReportedStatus = DESKTOP_APP_STATUS.UNKNOWN
+    /** @type {{code: string|null, message: string}|null} */
+    this.lastConnectionError = null
+    /** @type {Promise<void>|null} */
+    this.connectPromise = null
+    /** @type {Array<{resolve: Function, reject: Function}>} */
+    this.pendingRequests = []
+    /** @type {number} */
+    this.maxPendingRequests = maxPendingRequests
+    /** @type {Map<string, InFlightRequest>} */
+    this.inFlightRequests = new Map()
+    /** @type {string} */
+    this.sessionState = SESSION_STATES.NONE
+    /** @type {import('./utils/callerIdentity.js').CallerIdentity} */
+    this.caller = parseCallerIdentity(callerArgs)
+    /** @type {Record<string, string[]>|null} */
+    this.allowedExtensions = allowedExtensions
+    /** @type {boolean} */
+    this.callerAllowed = this.isCallerVerificationEnabled()
+      ? isCallerAllowed(this.caller, allowedExtensions)
+      : true
+    /**
+     * Control messages answered by the bridge itself rather than the desktop
+     * app. Each returns the result of its success response.
+     * @type {Record<string, (params: Object) => Promise<Object>|Object>}
+     */
+    this.controlHandlers = {
+      hello: (params) => this.handleHello(params),
+      checkAvailability: () => this.handleCheckAvailability(),
+      listCommands: () => ({ commands: describeCommands() }),
+      cancel: (params) => this.handleCancel(params),
+      subscribe: (params) => this.handleSubscribe(params),
+      unsubscribe: (params) => this.handleUnsubscribe(params),
+      capabilities: (params) => this.handleCapabilities(params),
+      logging: (params) => this.handleLogging(params)
+    }
+    /** @type {PeerInfo|null} */
+    this.peer = null
+    /** @type {EventSubscriptions} */
+    this.subscriptions = new EventSubscriptions()
+    /** @type {ReconnectSupervisor} */
+    this.reconnectSupervisor = new ReconnectSupervisor({
+      ...reconnect,
+      connect: () => this.connectToIPC(),
+      timers
+    })
+    /** @type {SocketWatcher|null} */
+    this.socketWatcher =
+      socketWatcher !== undefined
+        ? socketWatcher
+        : os.platform() === 'win32'
+          ? null
+          : new SocketWatcher({ socketPath: this.socketPath })
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.isRunning) {
+      return
+    }
+
+    try {
+      log('INFO', 'Starting simple native messaging host...')
+
+      // Set up native messaging handler first
+      this.handler.on('message', async (message) => {
+        const { command, method } = message || {}
+        const commandName = command || method || 'unknown'
+        log('INFO', `Received message from extension: ${commandName}`)
+        await this.handleMessage(message)
+      })
+
+      this.handler.on('disconnect', () => {
+        log('INFO', 'Native messaging disconnected')
+        this.stop()
+      })
+
+      // Malformed frames are answered by the handler and surface here only
+      // for logging; 'error' means stdin or stdout itself failed
+      this.handler.on('protocolError', (error) => {
+        log('DEBUG', 'Recovered from protocol error: ' + error.errorCode)
+      })
+
+      this.handler.on('outputClosed', () => {
+        log('INFO', 'Browser went away, stopping')
+        this.stop()
+      })
+
+      this.handler.on('error', (error) => {
+        log('INFO', 'Native messaging handler error: ' + error.message)
+        if (error.stack) {
+          log('INFO', 'Error stack: ' + error.stack)
+        }
+        this.stop()
+      })
+
+      // Start the native messaging handler
+      this.handler.start()
+      this.isRunning = true
+
+      const { browser, extensionId } = this.caller
+      log('INFO', `Caller: ${browser} extension ${extensionId || 'unknown'}`)
+      if (!this.allowedExtensions) {
+        log('WARN', 'Caller verification disabled by the embedder')
+      } else if (!this.hasAllowedExtensions()) {
+        log(
+          'ERROR',
+          `No allowed extension IDs configured, set ${ALLOWED_EXTENSION_IDS_ENV}`
+        )
+      }
+      if (!this.callerAllowed) {
+        // Keep reading stdin so every request gets the refusal frame
+        log('ERROR', 'Caller is not an allowed extension, refusing requests')
+        return
+      }
+
+      this.reconnectSupervisor.start()
+      this.startSocketWatcher()
+
+      log(
+        'INFO',
+        'Simple native messaging host started, attempting IPC connection...'
+      )
+
+      // Try to connect to IPC server (non-blocking)
+      this.connectToIPC().catch((error) => {
+        log('INFO', 'Initial IPC connection failed: ' + error.message)
+        this.updateDesktopAppStatus(error)
+      })
+    } catch (error) {
+      log(
+        'INFO',
+        'Failed to start simple native messaging host: ' + error.message
+      )
+      throw error
+    }
+  }
+
+  /**
+   * Caller verification is active unless the embedder passed a null
+   * allowlist. An allowlist without any IDs refuses every caller.
+   * @returns {boolean}
+   */
+  isCallerVerificationEnabled() {
+    return !!this.allowedExtensions
+  }
+
+  /**
+   * @returns {boolean} Whether the allowlist names at least one extension
+   */
+  hasAllowedExtensions() {
+    return Object.values(this.allowedExtensions || {}).some(
+      (ids) => ids.length > 0
+    )
+  }
+
+  /**
+   * Watch for the desktop app creating its IPC socket so a connection can be
+   * attempted immediately instead of waiting for the next background retry.
+   */
+  startSocketWatcher() {
+    if (!this.socketWatcher) {
+      return
+    }
+
+    this.socketWatcher.on('available', () => {
+      if (this.desktopAppStatus === DESKTOP_APP_STATUS.CONNECTED) {
+        return
+      }
+      log('INFO', 'IPC socket created, attempting to connect...')
+      this.connectToIPC().catch((error) => {
+        log('INFO', `Connection after socket creation failed: ${error.message}`)
+      })
+    })
+
+    this.socketWatcher.on('removed', () => {
+      if (this.desktopAppStatus !== DESKTOP_APP_STATUS.CONNECTED) {
+        this.setDesktopAppStatus(DESKTOP_APP_STATUS.NOT_RUNNING)
+      }
+    })
+
+    this.socketWatcher.start()
+  }
+
+  /**
+   * Race a promise against a timer that rejects with the given error.
+   * The timer is always cleared so an idle host holds no pending handles.
+   * @template T
+   * @param {Promise<T>} promise
+   * @param {number} ms
+   * @param {string|Error} error - Error, or message of the error, to reject with
+   * @returns {Promise<T>}
+   */
+  withTimeout(promise, ms, error) {
+    let timer = null
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = this.timers.setTimeout(() => {
+        reject(typeof error === 'string' ? new Error(error) : error)
+      }, ms)
+    })
+
+    return Promise.race([promise, timeoutPromise]).finally(() => {
+      this.timers.clearTimeout(timer)
+    })
+  }
+
+  /**
+   * Resolve the IPC call limit for a command. The extension may shorten it
+   * with a per-request deadline but never extend it.
+   * @param {string} methodName
+   * @param {number} [requestedTimeout]
+   * @returns {{limit: number, source: string}}
+   */
+  getCallTimeout(methodName, requestedTimeout) {
+    const { timeoutClass, limit } = getCommandTimeout(methodName)
+
+    if (
+      typeof requestedTimeout === 'number' &&
+      requestedTimeout > 0 &&
+      requestedTimeout < limit
+    ) {
+      return { limit: requestedTimeout, source: 'request deadline' }
+    }
+
+    return { limit, source: `${timeoutClass} command limit` }
+  }
+
+  /**
+   * Build the inbound-method api for the pear-ipc client. pear-ipc's client
+   * only auto-registers OUTBOUND methods; for server-pushed send-methods we
+   * must hand-wire the underlying tiny-buffer-rpc method's _onrequest so that
+   * inbound payloads reach us. Every `send: true` definition is wired to
+   * forwardPushedEvent, which relays the payload to the extension as a
+   * `{ event, data }` native-messaging push; the extension background already
+   * routes these into pearpassVaultClient.emit(). A push that cannot be
+   * relayed is logged and dropped. tiny-buffer-rpc itself rejects method
+   * ids without a definition, so the desktop app may only push ids listed
+   * in PUSH_DEFINITIONS.
+   *
+   * @returns {Object}
+   */
+  createIpcInboundApi() {
+    const api = {}
+
+    for (const { name } of PUSH_DEFINITIONS) {
+      api[name] = (method) => {
+        method._onrequest = (data) => {
+          try {
+            this.forwardPushedEvent(name, data)
+          } catch (err) {
+            log('WARN', `Ignoring message from desktop app: ${err.message}`)
+          }
+        }
+        // Inbound-only; expose a no-op so any accidental caller doesn't crash.
+        return () => {}
+      }
+    }
+
+    return api
+  }
+
+  /**
+   * Relay a server-pushed send-method to the extension under its declared
+   * event name. Pushes the extension has not subscribed to are dropped.
+   * @param {string} methodName - A send-method from PUSH_DEFINITIONS
+   * @param {*} data - Push payload
+   */
+  forwardPushedEvent(methodName, data) {
+    const event = getPushEventName(methodName)
+
+    if (!this.subscriptions.isSubscribed(event, data)) {
+      log('DEBUG', `Dropping unsubscribed pushed event: ${event}`)
+      return
+    }
+
+    try {
+      this.handler.send({ event, data })
+    } catch (err) {
+      log('ERROR', `Failed to forward ${event} to extension: ${err.message}`)
+    }
+  }
+
+  /**
+   * Connect to the IPC server. Concurrent callers share a single in-flight
+   * attempt instead of each creating their own client.
+   * @returns {Promise<void>}
+   */
+  connectToIPC() {
+    if (!this.connectPromise) {
+      this.connectPromise = this._connectToIPC().finally(() => {
+        this.connectPromise = null
+        this._drainPendingRequests()
+      })
+    }
+
+    return this.connectPromise
+  }
+
+  /**
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _connectToIPC() {
+    let client = null
+
+    try {
+      this.setDesktopAppStatus(DESKTOP_APP_STATUS.CONNECTING)
+      log('INFO', `Attempting to connect to IPC server at: ${this.socketPath}`)
+
+      // Create new IPC client connection
+      client = this.createIpcClient({
+        socketPath: this.socketPath,
+        connect: true,
+        connectTimeout: TIMEOUTS.IPC_CONNECTION,
+        methods: COMMAND_DEFINITIONS,
+        api: this.createIpcInboundApi()
+      })
+      this.ipcClient = client
+
+      // Wait for connection with timeout
+      await this.withTimeout(
+        client.ready(),
+        TIMEOUTS.IPC_CONNECTION,
+        'Connection timed out'
+      )
+
+      log('INFO', 'Successfully connected to IPC server')
+
+      // Update status
+      this.setDesktopAppStatus(DESKTOP_APP_STATUS.CONNECTED)
+
+      // Set up disconnect handler; ignore closes of superseded clients
+      client.on('close', () => {
+        if (this.ipcClient !== client) {
+          return
+        }
+        log('INFO', 'IPC client disconnected')
+        this.setDesktopAppStatus(DESKTOP_APP_STATUS.NOT_RUNNING)
+        this.ipcClient = null
+      })
+    } catch (error) {
+      log('INFO', `Failed to connect to IPC server: ${error.message}`)
+      this.updateDesktopAppStatus(error)
+
+      // Clean up client on failure
+      if (client) {
+        try {
+          client.close()
+        } catch {
+          // Ignore close errors
+        }
+      }
+      if (this.ipcClient === client) {
+        this.ipcClient = null
+      }
+    }
+  }
+
+  /**
+   * Queue a request until the shared connection attempt settles. Resolves
+   * once connected; rejects with the status error otherwise. Queued requests
+   * are released in arrival order.
+   * @returns {Promise<void>}
+   */
+  waitForConnection() {
+    if (this.pendingRequests.length >= this.maxPendingRequests) {
+      return Promise.reject(
+        createBridgeError(
+          ERROR_CODES.QUEUE_FULL,
+          `Too many requests waiting for PearPass desktop app (limit ${this.maxPendingRequests})`
+        )
+      )
+    }
+
+    const pending = new Promise((resolve, reject) => {
+      this.pendingRequests.push({ resolve, reject })
+    })
+
+    this.connectToIPC().catch((error) => {
+      log('INFO', `Failed to connect: ${error.message}`)
+    })
+
+    return pending
+  }
+
+  /**
+   * @private
+   */
+  _drainPendingRequests() {
+    const pending = this.pendingRequests
+    this.pendingRequests = []
+
+    if (pending.length === 0) {
+      return
+    }
+
+    log('INFO', `Releasing ${pending.length} queued request(s)`)
+
+    if (this.desktopAppStatus === DESKTOP_APP_STATUS.CONNECTED) {
+      pending.forEach(({ resolve }) => resolve())
+      return
+    }
+
+    const status = this.desktopAppStatus
+    const message =
+      STATUS_MESSAGES[status] || STATUS_MESSAGES[DESKTOP_APP_STATUS.UNKNOWN]
+    pending.forEach(({ reject }) => {
+      reject(createBridgeError(status, message))
+    })
+  }
+
+  /**
+   * Record a desktop app status change. Settled transitions are pushed to the
+   * extension as a `desktop-status-changed` event and drive the background
+   * reconnect supervisor; the transient connecting state is not announced.
+   * @param {string} status
+   */
+  setDesktopAppStatus(status) {
+    this.desktopAppStatus = status
+
+    if (status === DESKTOP_APP_STATUS.CONNECTING) {
+      return
+    }
+
+    if (status === DESKTOP_APP_STATUS.CONNECTED) {
+      this.lastConnectionError = null
+      this.reconnectSupervisor.reset()
+    } else {
+      // The secure channel does not survive losing the desktop connection
+      this.setSessionState(SESSION_STATES.NONE)
+      if (!this.isAwaitingSocket()) {
+        this.reconnectSupervisor.schedule()
+      }
+    }
+
+    if (status === this.lastReportedStatus) {
+      return
+    }
+
+    this.lastReportedStatus = status
+
+    if (!this.isRunning) {
+      return
+    }
+
+    log('INFO', `Desktop app status changed: ${status}`)
+    try {
+      this.handler.send({
+        event: 'desktop-status-changed',
+        data: {
+          status,
+          message:
+            STATUS_MESSAGES[status] ||
+            STATUS_MESSAGES[DESKTOP_APP_STATUS.UNKNOWN]
+        }
+      })
+    } catch (err) {
+      log('ERROR', `Failed to push desktop status change: ${err.message}`)
+    }
+  }
+
+  /**
+   * Whether the app is known not to be running and the socket watcher will
+   * report when it starts, making background retries unnecessary.
+   * @returns {boolean}
+   */
+  isAwaitingSocket() {
+    return (
+      this.desktopAppStatus === DESKTOP_APP_STATUS.NOT_RUNNING &&
+      !!this.socketWatcher?.isWatching &&
+      !this.socketWatcher.socketExists
+    )
+  }
+
+  /**
+   * Whether the IPC socket file exists, or null where that cannot be told
+   * (Windows named pipes).
+   * @returns {boolean|null}
+   */
+  socketFileExists() {
+    if (this.socketWatcher?.isWatching) {
+      return this.socketWatcher.socketExists
+    }
+
+    if (os.platform() === 'win32') {
+      return null
+    }
+
+    try {
+      return fs.existsSync(this.socketPath)
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Diagnose a connection failure and record the detected reason
+   * @param {Error & {code?: string}} error
+   */
+  updateDesktopAppStatus(error) {
+    const status = getDesktopAppStatusFromError(error, {
+      socketExists: this.socketFileExists()
+    })
+
+    this.lastConnectionError = {
+      code: getConnectionErrorCode(error),
+      message: error.message
+    }
+    log(
+      'INFO',
+      `Diagnosed desktop app status ${status} from error: ${error.message}`
+    )
+    this.setDesktopAppStatus(status)
+  }
+
+  /**
+   * Try to connect if not connected yet. A failure is only logged; it is
+   * reflected in the desktop app status.
+   * @param {string} reason - What needs the connection, for the log
+   * @returns {Promise<void>}
+   */
+  async tryConnect(reason) {
+    if (this.desktopAppStatus === DESKTOP_APP_STATUS.CONNECTED) {
+      return
+    }
+
+    log('INFO', `${reason} - attempting to connect...`)
+    try {
+      await this.connectToIPC()
+    } catch (connectError) {
+      log('INFO', `${reason} - connection failed: ${connectError.message}`)
+    }
+  }
+
+  /**
+   * Answer `hello`: check the extension's protocol version against the
+   * bridge's, agree on optional features including compression, and report
+   * the desktop app status and the commands it exposes. Incompatible
+   * versions are refused with INCOMPATIBLE_PROTOCOL.
+   * @param {{version?: string, protocolVersion?: number, minProtocolVersion?: number, capabilities?: string[], compression?: string[], compressionThreshold?: number}} params
+   * @returns {Promise<Object>}
+   */
+  async handleHello(params) {
+    const {
+      version = null,
+      protocolVersion,
+      minProtocolVersion = protocolVersion,
+      capabilities,
+      compression,
+      compressionThreshold
+    } = this.validateCommandParams('hello', params, HELLO_PARAMS_SCHEMA)
+    const protocol = {
+      bridgeVersion: BRIDGE_VERSION,
+      protocolVersion: PROTOCOL_VERSION,
+      minProtocolVersion: MIN_PROTOCOL_VERSION
+    }
+
+    if (
+      protocolVersion < MIN_PROTOCOL_VERSION ||
+      minProtocolVersion > PROTOCOL_VERSION
+    ) {
+      log(
+        'ERROR',
+        `Refusing extension ${version || 'unknown'} with protocol ${minProtocolVersion}-${protocolVersion}`
+      )
+      throw createBridgeError(
+        ERROR_CODES.INCOMPATIBLE_PROTOCOL,
+        `Extension protocol ${minProtocolVersion}-${protocolVersion} is not compatible with bridge ${BRIDGE_VERSION} (protocol ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION})`,
+        { protocol }
+      )
+    }
+
+    const supported = Object.values(BRIDGE_CAPABILITIES)
+    const agreed = capabilities
+      ? supported.filter((capability) => capabilities.includes(capability))
+      : supported
+    this.peer = { version, protocolVersion, capabilities: agreed }
+    log(
+      'INFO',
+      `Extension ${version || 'unknown'} speaks protocol ${protocolVersion}`
+    )
+
+    await this.tryConnect('Hello')
+
+    return {
+      ...protocol,
+      capabilities: agreed,
+      unsupportedCapabilities: (capabilities || []).filter(
+        (capability) => !supported.includes(capability)
+      ),
+      controlMessages: Object.keys(this.controlHandlers),
+      desktopAppStatus: this.desktopAppStatus,
+      commands: this.getExposedCommands(),
+      ...this.applyCompression(compression, compressionThreshold)
+    }
+  }
+
+  /**
+   * Names of the commands described by `listCommands` that the connected
+   * desktop app exposes
+   * @returns {string[]|null} Null while the desktop app is not connected
+   */
+  getExposedCommands() {
+    if (this.desktopAppStatus !== DESKTOP_APP_STATUS.CONNECTED) {
+      return null
+    }
+
+    return describeCommands()
+      .filter(
+        ({ name, direction }) =>
+          direction === 'call' && typeof this.ipcClient?.[name] === 'function'
+      )
+      .map(({ name }) => name)
+  }
+
+  /**
+   * Answer `checkAvailability`, connecting first if needed
+   * @returns {Promise<Object>}
+   */
+  async handleCheckAvailability() {
+    // Always try to connect when checking availability
+    await this.tryConnect('Checking availability')
+
+    return {
+      available: this.desktopAppStatus === DESKTOP_APP_STATUS.CONNECTED,
+      status: this.desktopAppStatus,
+      message:
+        STATUS_MESSAGES[this.desktopAppStatus] ||
+        STATUS_MESSAGES[DESKTOP_APP_STATUS.UNKNOWN],
+      reason: this.lastConnectionError,
+      hint: STATUS_HINTS[this.desktopAppStatus] ?? null,
+      caller: {
+        browser: this.caller.browser,
+        extensionId: this.caller.extensionId
+      }
+    }
+  }
+
+  /**
+   * Validate params against the command's schema so malformed input never
+   * reaches the desktop app. Throws an `INVALID_PARAMS` error naming the
+   * offending field.
+   * @param {string} methodName
+   * @param {*} params
+   * @param {import('./utils/validateParams.js').ParamsSchema} [schema] - Defaults to the command's schema
+   * @returns {Object} Params to forward, with unknown keys and padding removed
+   */
+  validateCommandParams(methodName, params, schema) {
+    const validation = validateParams(
+      schema || getParamsSchema(methodName),
+      params ?? {}
+    )
+
+    if (!validation.valid) {
+      const { path, message } = validation.error
+      throw createBridgeError(
+        ERROR_CODES.INVALID_PARAMS,
+        `Invalid params for ${methodName}: ${path} ${message}`,
+        { field: path }
+      )
+    }
+
+    const cleanParams = { ...validation.params }
+    delete cleanParams.padding
+    return cleanParams
+  }
+
+  /**
+   * @param {string} state
+   */
+  setSessionState(state) {
+    if (this.sessionState === state) {
+      return
+    }
+    log('INFO', `Secure channel state: ${this.sessionState} -> ${state}`)
+    this.sessionState = state
+  }
+
+  /**
+   * Advance the secure channel after an nm* command resolved. A result that
+   * reports failure leaves the state alone, except that a failed handshake
+   * step resets the channel as a rejected one does.
+   * @param {string} methodName - A key of SESSION_TRANSITIONS
+   * @param {*} result - Result the desktop app resolved with
+   */
+  applySessionTransition(methodName, result) {
+    if (isSuccessfulTransitionResult(result)) {
+      this.setSessionState(SESSION_TRANSITIONS[methodName])
+      return
+    }
+
+    log('WARN', `${methodName} reported failure, secure channel not advanced`)
+    if (HANDSHAKE_COMMANDS.includes(methodName)) {
+      this.setSessionState(SESSION_STATES.NONE)
+    }
+  }
+
+  /**
+   * Reject commands the current secure channel state does not permit.
+   * Before the handshake only identity and handshake commands pass;
+   * sensitive commands need confirmed pairing, or must be sent wrapped in
+   * nmSecureRequest.
+   * @param {string} methodName
+   */
+  enforceSessionPolicy(methodName) {
+    const access = getCommandAccess(methodName)
+    if (isAllowedInSessionState(access, this.sessionState)) {
+      return
+    }
+
+    const requirement =
+      access === ACCESS_LEVELS.PAIRED
+        ? 'confirmed pairing or nmSecureRequest'
+        : 'a completed secure channel handshake'
+    throw createBridgeError(
+      ERROR_CODES.SESSION_POLICY_VIOLATION,
+      `${methodName} requires ${requirement} (current state: ${this.sessionState})`
+    )
+  }
+
+  /**
+   * Register a request so it can be cancelled by id while in flight
+   * @param {string} id
+   * @param {string} methodName
+   * @returns {InFlightRequest}
+   */
+  trackRequest(id, methodName) {
+    let reject = null
+    const cancelled = new Promise((_, rejectCancelled) => {
+      reject = rejectCancelled
+    })
+    // Only observed while racing; never surface as unhandled
+    cancelled.catch(() => {})
+
+    const request = {
+      methodName,
+      cancelled,
+      isCancelled: false,
+      cancel: () => {
+        request.isCancelled = true
+        reject(
+          createBridgeError(
+            ERROR_CODES.CANCELLED,
+            `Request cancelled: ${methodName}`
+          )
+        )
+      }
+    }
+
+    if (id !== undefined && id !== null) {
+      this.inFlightRequests.set(id, request)
+    }
+    return request
+  }
+
+  /**
+   * Answer a `cancel` control message. The original request fails with a
+   * `CANCELLED` error and, where the desktop app has a matching cancel
+   * command, the cancellation is forwarded to it.
+   * @param {{requestId?: string}} params
+   * @returns {{requestId?: string, cancelled: boolean, forwarded?: boolean}}
+   */
+  handleCancel({ requestId } = {}) {
+    const request = this.inFlightRequests.get(requestId)
+
+    if (!request || request.isCancelled) {
+      log('INFO', `No in-flight request to cancel for id ${requestId}`)
+      return { requestId, cancelled: false }
+    }
+
+    request.cancel()
+    log('INFO', `Cancelled request ${requestId} (${request.methodName})`)
+
+    const cancelCommand = getCommandDefinition(
+      request.methodName
+    )?.cancelCommand
+    const forwarded = !!(cancelCommand && this.ipcClient?.[cancelCommand])
+    if (forwarded) {
+      Promise.resolve()
+        .then(() => this.ipcClient[cancelCommand]({}))
+        .catch((error) => {
+          log('INFO', `Failed to forward ${cancelCommand}: ${error.message}`)
+        })
+    }
+
+    return { requestId, cancelled: true, forwarded }
+  }
+
+  /**
+   * Answer a `subscribe` control message by adding the events (and
+   * optionally vault ids) the extension wants pushed
+   * @param {{events?: string[], vaultIds?: string[]}} params
+   * @returns {{subscriptions: Record<string, string[]|null>}}
+   */
+  handleSubscribe(params) {
+    const { events, vaultIds } = this.validateCommandParams(
+      'subscribe',
+      params,
+      SUBSCRIBE_PARAMS_SCHEMA
+    )
+    this.subscriptions.subscribe(events, vaultIds)
+    return this.getSubscriptionsResult()
+  }
+
+  /**
+   * Answer an `unsubscribe` control message. Without `events` every event
+   * is unsubscribed.
+   * @param {{events?: string[], vaultIds?: string[]}} params
+   * @returns {{subscriptions: Record<string, string[]|null>}}
+   */
+  handleUnsubscribe(params) {
+    const { events, vaultIds } = this.validateCommandParams(
+      'unsubscribe',
+      params,
+      UNSUBSCRIBE_PARAMS_SCHEMA
+    )
+    this.subscriptions.unsubscribe(events, vaultIds)
+    return this.getSubscriptionsResult()
+  }
+
+  /**
+   * @returns {{subscriptions: Record<string, string[]|null>}}
+   */
+  getSubscriptionsResult() {
+    const subscriptions = this.subscriptions.toJSON()
+    log('INFO', `Event subscriptions: ${Object.keys(subscriptions).join(', ')}`)
+    return { subscriptions }
+  }
+
+  /**
+   * Answer a `capabilities` control message, which renegotiates compression
+   * after `hello`
+   * @param {{compression?: string[], compressionThreshold?: number}} params
+   * @returns {{compression: string|null, compressionThreshold: number}}
+   */
+  handleCapabilities(params) {
+    const { compression, compressionThreshold } = this.validateCommandParams(
+      'capabilities',
+      params,
+      CAPABILITIES_PARAMS_SCHEMA
+    )
+    return this.applyCompression(compression, compressionThreshold)
+  }
+
+  /**
+   * Enable the first of the extension's compression encodings the bridge
+   * supports for the rest of the session, or disable compression. An
+   * extension that left `compression` out of the capabilities agreed in
+   * `hello` is never sent compressed messages.
+   * @param {string[]} [offered] - Encodings the extension can decode, preferred first
+   * @param {number} [threshold] - Smallest message in bytes worth compressing
+   * @returns {{compression: string|null, compressionThreshold: number}}
+   */
+  applyCompression(offered, threshold) {
+    const allowed =
+      !this.peer ||
+      this.peer.capabilities.includes(BRIDGE_CAPABILITIES.COMPRESSION)
+    const encoding = allowed ? negotiateCompression(offered) : null
+    this.handler.setCompression(encoding, threshold)
+
+    return {
+      compression: encoding,
+      compressionThreshold: this.handler.compressionThreshold
+    }
+  }
+
+  /**
+   * Answer `logging`: change the log level or destination at runtime, e.g.
+   * from the extension's troubleshooting screen. Without params it only
+   * reports the current settings.
+   * @param {{level?: string, destination?: string}} params
+   * @returns {import('./utils/log.js').LogConfig}
+   */
+  handleLogging(params) {
+    const changes = this.validateCommandParams(
+      'logging',
+      params,
+      LOGGING_PARAMS_SCHEMA
+    )
+    if (Object.keys(changes).length === 0) {
+      return getLogConfig()
+    }
+    // Raising the level records request traffic, so changing it needs the
+    // same handshake as a desktop command; reading it does not
+    this.enforceSessionPolicy('logging')
+
+    const config = configureLogging(changes)
+    log('INFO', `Logging set to ${config.level} (${config.destination})`)
+    return config
+  }
+
+  /**
+   * @param {Message|Message[]} message - A native or JSON-RPC 2.0 request, or a batch of them
+   * @param {(response: Object) => void} [respond] - Collects the response instead of sending it, e.g. for a batch
+   * @returns {Promise<void>}
+   */
+  async handleMessage(message, respond = null) {
+    if (isJsonRpcMessage(message)) {
+      return this.handleJsonRpc(message, respond)
+    }
+
+    if (isJsonRpcBatch(message)) {
+      return this.handleJsonRpcBatch(message)
+    }
+
+    if (isBatchMessage(message)) {
+      return this.handleBatch(message)
+    }
+
+    const { id, method, command, params, timeout } = message
+    const reply = respond || ((response) => this.handler.send(response))
+    const methodName = method || command
+    /** @type {InFlightRequest|null} */
+    let request = null
+
+    try {
+      if (!this.callerAllowed) {
+        const { browser, extensionId } = this.caller
+        reply(
+          createErrorResponse(
+            id,
+            createBridgeError(
+              ERROR_CODES.CALLER_NOT_ALLOWED,
+              `Browser extension ${extensionId || 'unknown'} (${browser}) is not allowed to use the PearPass native messaging bridge`
+            )
+          )
+        )
+        return
+      }
+
+      // Remove any padding added to work around Chrome 255-byte bug
+      let cleanParams = params ? { ...params } : {}
+      delete cleanParams.padding
+
+      log('INFO', `Processing request: ${methodName}`)
+
+      // Handle control messages answered locally
+      const controlHandler = Object.hasOwn(this.controlHandlers, methodName)
+        ? this.controlHandlers[methodName]
+        : null
+      if (controlHandler) {
+        const result = await controlHandler(cleanParams)
+        reply({ id, success: true, result })
+        log('INFO', `Sent response for ${methodName}`)
+        return
+      }
+
+      if (isValidCommand(methodName)) {
+        cleanParams = this.validateCommandParams(methodName, params)
+        this.enforceSessionPolicy(methodName)
+      }
+
+      request = this.trackRequest(id, methodName)
+
+      // For all other commands, wait for the shared connection attempt
+      if (this.desktopAppStatus !== DESKTOP_APP_STATUS.CONNECTED) {
+        log('INFO', 'Desktop app not connected, queueing until connected...')
+        try {
+          await Promise.race([this.waitForConnection(), request.cancelled])
+        } catch (connectError) {
+          reply(
+            createErrorResponse(id, {
+              message: connectError.message,
+              errorCode: connectError.errorCode || this.desktopAppStatus
+            })
+          )
+          log('INFO', `Sent error response: ${connectError.message}`)
+          return
+        }
+      }
+
+      // Check if IPC client is still connected
+      if (!this.ipcClient || this.ipcClient.closed) {
+        log('INFO', 'IPC client is not connected, attempting to reconnect...')
+        await this.reconnectIPC()
+      }
+
+      let result = null
+
+      if (request.isCancelled) {
+        await request.cancelled
+      }
+
+      // Call the appropriate method on the IPC client with timeout
+      if (isValidCommand(methodName) && this.ipcClient[methodName]) {
+        const { limit, source } = this.getCallTimeout(methodName, timeout)
+        const timeoutError = createBridgeError(
+          ERROR_CODES.IPC_TIMEOUT,
+          `IPC call ${methodName} timed out after ${limit / 1000} seconds (${source})`,
+          { timeout: { command: methodName, limit, source } }
+        )
+
+        try {
+          // Race between the IPC call, timeout and cancellation; a late
+          // response to a cancelled call is dropped
+          result = await this.withTimeout(
+            Promise.race([
+              this.ipcClient[methodName](cleanParams),
+              request.cancelled
+            ]),
+            limit,
+            timeoutError
+          )
+        } catch (error) {
+          const callError = toIpcCallError(error)
+
+          // If the command's own limit fired or the connection broke, the
+          // desktop app is presumed gone; a short request deadline is not
+          // evidence of that
+          if (
+            (error === timeoutError && source !== 'request deadline') ||
+            callError.errorCode === ERROR_CODES.IPC_DISCONNECTED
+          ) {
+            log('INFO', 'IPC call failed, desktop app may have been closed')
+            this.setDesktopAppStatus(DESKTOP_APP_STATUS.NOT_RUNNING)
+            this.ipcClient = null
+          }
+          throw callError
+        }
+      } else {
+        throw createBridgeError(
+          ERROR_CODES.UNKNOWN_METHOD,
+          `Unknown method: ${methodName}`
+        )
+      }
+
+      if (Object.hasOwn(SESSION_TRANSITIONS, methodName)) {
+        this.applySessionTransition(methodName, result)
+      }
+
+      // Send success response
+      reply({
+        id,
+        success: true,
+        result
+      })
+
+      log('INFO', `Sent response for ${methodName}`)
+    } catch (error) {
+      log('INFO', `Error handling message: ${error.message}`)
+
+      // If the connection broke mid-call, try to reconnect
+      if (error.errorCode === ERROR_CODES.IPC_DISCONNECTED) {
+        log('INFO', 'RPC destroyed detected, attempting to reconnect...')
+        try {
+          await this.reconnectIPC()
+          // Retry the message after reconnection
+          return this.handleMessage(message, respond)
+        } catch (reconnectError) {
+          log('INFO', `Failed to reconnect: ${reconnectError.message}`)
+          this.updateDesktopAppStatus(reconnectError)
+        }
+      }
+
+      // A failed handshake step leaves no usable channel
+      if (HANDSHAKE_COMMANDS.includes(methodName)) {
+        this.setSessionState(SESSION_STATES.NONE)
+      }
+
+      // Send error response
+      reply(createErrorResponse(id, error))
+    } finally {
+      // A retried message registers its own entry under the same id
+      if (request && this.inFlightRequests.get(id) === request) {
+        this.inFlightRequests.delete(id)
+      }
+    }
+  }
+
+  /**
+   * Run the requests of a batch and answer with one response holding each
+   * request's outcome under its id. Parallel batches run every request at
+   * once; sequential ones wait for each before starting the next.
+   * @param {Message[]|{id?: string|number, batch: Message[], mode?: string}} message
+   * @returns {Promise<void>}
+   */
+  async handleBatch(message) {
+    let batch = null
+    try {
+      batch = parseBatch(message)
+    } catch (error) {
+      log('INFO', `Rejected batch: ${error.message}`)
+      this.handler.send(createErrorResponse(message.id ?? null, error))
+      return
+    }
+
+    const { id, mode, requests } = batch
+    log('INFO', `Processing batch of ${requests.length} request(s) (${mode})`)
+
+    /** @type {Record<string, Object>} */
+    const result = {}
+    const run = (request) =>
+      this.handleMessage(request, ({ id: requestId, ...entry }) => {
+        result[requestId] = entry
+      })
+
+    if (mode === BATCH_MODES.SEQUENTIAL) {
+      for (const request of requests) {
+        await run(request)
+      }
+    } else {
+      await Promise.all(requests.map(run))
+    }
+
+    this.handler.send({ id, success: true, result })
+    log('INFO', `Sent response for batch of ${requests.length} request(s)`)
+  }
+
+  /**
+   * Run a JSON-RPC 2.0 request and answer in JSON-RPC form. Notifications
+   * are run without a response.
+   * @param {import('./jsonRpc.js').JsonRpcRequest} message
+   * @param {(response: Object) => void} [respond] - Collects the response instead of sending it
+   * @returns {Promise<void>}
+   */
+  async handleJsonRpc(message, respond = null) {
+    const reply = respond || ((response) => this.handler.send(response))
+
+    let request = null
+    try {
+      request = parseJsonRpcRequest(message)
+    } catch (error) {
+      log('INFO', `Rejected JSON-RPC request: ${error.message}`)
+      reply(createJsonRpcErrorResponse(message, error))
+      return
+    }
+
+    const notification = isJsonRpcNotification(message)
+    await this.handleMessage(request, (response) => {
+      if (!notification) {
+        reply(toJsonRpcResponse(response))
+      }
+    })
+  }
+
+  /**
+   * Run a JSON-RPC 2.0 batch concurrently and answer with an array of
+   * responses, or nothing if every request was a notification
+   * @param {import('./jsonRpc.js').JsonRpcRequest[]} messages
+   * @returns {Promise<void>}
+   */
+  async handleJsonRpcBatch(messages) {
+    if (messages.length > MESSAGE_LIMITS.MAX_BATCH_SIZE) {
+      this.handler.send(
+        createJsonRpcErrorResponse(
+          {},
+          createBridgeError(
+            ERROR_CODES.INVALID_MESSAGE,
+            `Invalid batch: ${messages.length} requests exceed the limit of ${MESSAGE_LIMITS.MAX_BATCH_SIZE}`
+          )
+        )
+      )
+      return
+    }
+
+    const responses = []
+    await Promise.all(
+      messages.map((message) =>
+        this.handleJsonRpc(message, (response) => responses.push(response))
+      )
+    )
+
+    if (responses.length > 0) {
+      this.handler.send(responses)
+    }
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async reconnectIPC() {
+    try {
+      // Join an attempt that is already in flight rather than racing it
+      if (this.connectPromise) {
+        await this.connectPromise
+      } else {
+        // Close existing client if any
+        if (this.ipcClient) {
+          try {
+            this.ipcClient.close()
+          } catch {
+            // Ignore close errors
+          }
+          this.ipcClient = null
+        }
+
+        // Use connectToIPC which handles status updates
+        await this.connectToIPC()
+      }
+
+      if (this.desktopAppStatus !== DESKTOP_APP_STATUS.CONNECTED) {
+        throw createBridgeError(
+          this.desktopAppStatus,
+          STATUS_MESSAGES[this.desktopAppStatus]
+        )
+      }
+    } catch (error) {
+      log('INFO', `Failed to reconnect to IPC server: ${error.message}`)
+      throw error
+    }
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return
+    }
+
+    this.isRunning = false
+    this.reconnectSupervisor.stop()
+
+    // Nobody is left to answer; abandon work still waiting on the desktop app
+    if (this.inFlightRequests.size > 0) {
+      log(
+        'INFO',
+        `Cancelling ${this.inFlightRequests.size} in-flight request(s)`
+      )
+      this.inFlightRequests.forEach((request) => request.cancel())
+      this.inFlightRequests.clear()
+    }
+
+    if (this.socketWatcher) {
+      this.socketWatcher.stop()
+      this.socketWatcher.removeAllListeners()
+    }
+
+    if (this.ipcClient) {
+      this.ipcClient.close()
+      this.ipcClient = null
+    }
+
+    if (this.handler) {
+      this.handler.stop()
+    }
+
+    log('INFO', 'Simple native messaging host stopped')
+  }
+
+  /**
+   * Stop the host and give queued frames and log lines a chance to be
+   * written
+   * @returns {Promise<boolean>} Whether every queued frame was written
+   */
+  async shutdown() {
+    this.stop()
+    const flushed = await this.handler.flush()
+    await flushLogs()
+    return flushed
+  }
+}
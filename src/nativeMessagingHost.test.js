@@ -0,0 +1,1768 @@
+import EventEmitter from 'events'
+import { PassThrough } from 'stream'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import IPC from 'pear-ipc'
+
+import { COMMAND_DEFINITIONS } from './constants/commandDefinitions'
+import { DESKTOP_APP_STATUS } from './constants/desktopAppStatus'
+import { ERROR_CODES } from './constants/errorCodes'
+import { BRIDGE_CAPABILITIES, BRIDGE_VERSION } from './constants/protocol'
+import { SESSION_STATES } from './constants/sessionPolicy'
+import { NativeMessagingHost } from './nativeMessagingHost'
+import { configureLogging, flushLogs, log } from './utils/log'
+
+jest.mock('./utils/log', () => ({
+  log: jest.fn(),
+  flushLogs: jest.fn(() => Promise.resolve()),
+  configureLogging: jest.fn((changes) => ({
+    level: 'OFF',
+    destination: 'file',
+    file: '/home/testuser/.pearpass/logs/native-messaging-bridge.log',
+    ...changes
+  })),
+  getLogConfig: jest.fn(() => ({
+    level: 'OFF',
+    destination: 'file',
+    file: '/home/testuser/.pearpass/logs/native-messaging-bridge.log'
+  }))
+}))
+jest.mock('./utils/getIpcPath', () => ({
+  getIpcPath: jest.fn(() => '/home/testuser/.pearpass/default.sock')
+}))
+
+const createHandler = () => {
+  const handler = new EventEmitter()
+  handler.start = jest.fn()
+  handler.stop = jest.fn()
+  handler.send = jest.fn()
+  handler.flush = jest.fn(() => Promise.resolve(true))
+  handler.setCompression = jest.fn((encoding, threshold = 16384) => {
+    handler.compressionThreshold = threshold
+  })
+  return handler
+}
+
+const createIpcClient = (methods = {}) => {
+  const client = new EventEmitter()
+  client.ready = jest.fn(() => Promise.resolve())
+  client.close = jest.fn()
+  client.closed = false
+  Object.assign(client, methods)
+  return client
+}
+
+describe('NativeMessagingHost', () => {
+  let handler
+  let ipcClient
+  let createIpcClientMock
+
+  // Hosts start with a paired secure channel unless a test says otherwise
+  const createHost = ({
+    sessionState = SESSION_STATES.PAIRED,
+    ...options
+  } = {}) => {
+    const host = new NativeMessagingHost({
+      handler,
+      createIpcClient: createIpcClientMock,
+      socketPath: '/tmp/test.sock',
+      socketWatcher: null,
+      callerArgs: [],
+      allowedExtensions: null,
+      ...options
+    })
+    host.sessionState = sessionState
+    return host
+  }
+
+  beforeEach(() => {
+    handler = createHandler()
+    ipcClient = createIpcClient({
+      vaultsList: jest.fn(() => Promise.resolve(['vault-1']))
+    })
+    createIpcClientMock = jest.fn(() => ipcClient)
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+  })
+
+  test('constructor uses injected socket path and defaults otherwise', () => {
+    expect(createHost().socketPath).toBe('/tmp/test.sock')
+    expect(new NativeMessagingHost({ handler }).socketPath).toBe(
+      '/home/testuser/.pearpass/default.sock'
+    )
+  })
+
+  test('constructor builds a handler on injected streams', () => {
+    const stdin = new EventEmitter()
+    const stdout = { write: jest.fn() }
+    const host = new NativeMessagingHost({ stdin, stdout })
+    expect(host.handler.stdin).toBe(stdin)
+    expect(host.handler.stdout).toBe(stdout)
+  })
+
+  test('connectToIPC creates client through injected factory', async () => {
+    const host = createHost()
+    await host.connectToIPC()
+    expect(createIpcClientMock).toHaveBeenCalledWith(
+      expect.objectContaining({ socketPath: '/tmp/test.sock', connect: true })
+    )
+    expect(host.desktopAppStatus).toBe(DESKTOP_APP_STATUS.CONNECTED)
+  })
+
+  test('connectToIPC marks app not running on ENOENT', async () => {
+    ipcClient.ready.mockRejectedValue(new Error('connect ENOENT'))
+    const host = createHost()
+    await host.connectToIPC()
+    expect(host.desktopAppStatus).toBe(DESKTOP_APP_STATUS.NOT_RUNNING)
+    expect(ipcClient.close).toHaveBeenCalled()
+    expect(host.ipcClient).toBeNull()
+  })
+
+  test('connectToIPC times out using injected timers', async () => {
+    ipcClient.ready.mockReturnValue(new Promise(() => {}))
+    const timers = {
+      setTimeout: jest.fn((fn) => {
+        fn()
+        return 1
+      }),
+      clearTimeout: jest.fn()
+    }
+    const host = createHost({ timers })
+    await host.connectToIPC()
+    expect(timers.setTimeout).toHaveBeenCalled()
+    expect(timers.clearTimeout).toHaveBeenCalledWith(1)
+    expect(host.desktopAppStatus).toBe(DESKTOP_APP_STATUS.INTEGRATION_DISABLED)
+  })
+
+  test('close event marks desktop app as not running', async () => {
+    const host = createHost()
+    await host.connectToIPC()
+    ipcClient.emit('close')
+    expect(host.desktopAppStatus).toBe(DESKTOP_APP_STATUS.NOT_RUNNING)
+    expect(host.ipcClient).toBeNull()
+  })
+
+  describe('handleMessage', () => {
+    test('checkAvailability reports connection status', async () => {
+      const host = createHost()
+      await host.handleMessage({ id: '1', command: 'checkAvailability' })
+      expect(handler.send).toHaveBeenCalledWith({
+        id: '1',
+        success: true,
+        result: {
+          available: true,
+          status: DESKTOP_APP_STATUS.CONNECTED,
+          message: 'PearPass desktop app connected',
+          reason: null,
+          hint: null,
+          caller: { browser: 'unknown', extensionId: null }
+        }
+      })
+    })
+
+    test('checkAvailability reports diagnosed reason and hint', async () => {
+      const error = new Error('connect ECONNREFUSED /tmp/test.sock')
+      ipcClient.ready.mockRejectedValue(error)
+      const host = createHost()
+      await host.handleMessage({ id: '1', command: 'checkAvailability' })
+      expect(handler.send).toHaveBeenCalledWith({
+        id: '1',
+        success: true,
+        result: {
+          available: false,
+          status: DESKTOP_APP_STATUS.STALE_SOCKET,
+          message: expect.stringContaining('stale'),
+          reason: {
+            code: 'ECONNREFUSED',
+            message: 'connect ECONNREFUSED /tmp/test.sock'
+          },
+          hint: 'Restart the PearPass desktop app',
+          caller: { browser: 'unknown', extensionId: null }
+        }
+      })
+    })
+
+    test('forwards command to IPC client without padding', async () => {
+      const host = createHost()
+      await host.handleMessage({
+        id: '2',
+        method: 'vaultsList',
+        params: { filter: 'all', padding: 'xxxx' }
+      })
+      expect(ipcClient.vaultsList).toHaveBeenCalledWith({ filter: 'all' })
+      expect(handler.send).toHaveBeenCalledWith({
+        id: '2',
+        success: true,
+        result: ['vault-1']
+      })
+    })
+
+    test('responds with status error when desktop app is unavailable', async () => {
+      ipcClient.ready.mockRejectedValue(new Error('connect ENOENT'))
+      const host = createHost()
+      await host.handleMessage({ id: '3', command: 'vaultsList' })
+      expect(handler.send).toHaveBeenCalledWith({
+        id: '3',
+        success: false,
+        error: 'PearPass desktop app is not running',
+        errorCode: DESKTOP_APP_STATUS.NOT_RUNNING,
+        retryable: true
+      })
+    })
+
+    test('rejects malformed params before calling the desktop app', async () => {
+      const host = createHost()
+      await host.handleMessage({ id: '14', command: 'vaultsList', params: 'x' })
+      expect(ipcClient.vaultsList).not.toHaveBeenCalled()
+      expect(handler.send).toHaveBeenCalledWith({
+        id: '14',
+        success: false,
+        error:
+          'Invalid params for vaultsList: params expected object, got string',
+        errorCode: 'INVALID_PARAMS',
+        retryable: false,
+        field: 'params'
+      })
+    })
+
+    test.each([
+      [{}, 'params.key', 'is required'],
+      [{ key: '' }, 'params.key', 'must be at least 1 characters'],
+      [
+        { key: 'k'.repeat(257) },
+        'params.key',
+        'must be at most 256 characters'
+      ],
+      [{ key: 'k', extra: 'x'.repeat(2000) }, 'params', 'exceeds 1024 bytes']
+    ])(
+      'rejects vaultsGet params %j before calling the desktop app',
+      async (params, field, message) => {
+        ipcClient.vaultsGet = jest.fn(() => Promise.resolve({}))
+        const host = createHost()
+        await host.handleMessage({ id: '14b', command: 'vaultsGet', params })
+        expect(ipcClient.vaultsGet).not.toHaveBeenCalled()
+        expect(handler.send).toHaveBeenCalledWith({
+          id: '14b',
+          success: false,
+          error: `Invalid params for vaultsGet: ${field} ${message}`,
+          errorCode: 'INVALID_PARAMS',
+          retryable: false,
+          field
+        })
+      }
+    )
+
+    test('rejects nmSecureRequest without a ciphertext', async () => {
+      ipcClient.nmSecureRequest = jest.fn(() => Promise.resolve({}))
+      const host = createHost()
+      await host.handleMessage({
+        id: '14c',
+        command: 'nmSecureRequest',
+        params: { sessionId: 's1', nonceB64: 'bm9uY2U=' }
+      })
+      expect(ipcClient.nmSecureRequest).not.toHaveBeenCalled()
+      expect(handler.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          id: '14c',
+          errorCode: 'INVALID_PARAMS',
+          field: 'params.ciphertextB64'
+        })
+      )
+    })
+
+    test('forwards only declared params of commands with a schema', async () => {
+      ipcClient.pairActiveVault = jest.fn(() => Promise.resolve({}))
+      const host = createHost()
+      await host.handleMessage({
+        id: '14d',
+        command: 'pairActiveVault',
+        params: { inviteCode: 'invite', tabUrl: 'https://example.com' }
+      })
+      expect(ipcClient.pairActiveVault).toHaveBeenCalledWith({
+        inviteCode: 'invite'
+      })
+    })
+
+    test('strips params the command schema does not declare', async () => {
+      ipcClient.encryptionGetStatus = jest.fn(() => Promise.resolve('ok'))
+      const host = createHost()
+      await host.handleMessage({
+        id: '15',
+        command: 'encryptionGetStatus',
+        params: { leaked: 'data', padding: 'xx' }
+      })
+      expect(ipcClient.encryptionGetStatus).toHaveBeenCalledWith({})
+    })
+
+    test('responds with error for unknown method', async () => {
+      const host = createHost()
+      await host.handleMessage({ id: '4', command: 'doesNotExist' })
+      expect(handler.send).toHaveBeenCalledWith({
+        id: '4',
+        success: false,
+        error: 'Unknown method: doesNotExist',
+        errorCode: 'UNKNOWN_METHOD',
+        retryable: false
+      })
+    })
+
+    test('does not call server-pushed send definitions', async () => {
+      ipcClient.onVaultAccessRevoked = jest.fn(() => Promise.resolve())
+      const host = createHost()
+      await host.handleMessage({ id: '4b', command: 'onVaultAccessRevoked' })
+      expect(ipcClient.onVaultAccessRevoked).not.toHaveBeenCalled()
+      expect(handler.send).toHaveBeenCalledWith(
+        expect.objectContaining({ id: '4b', errorCode: 'UNKNOWN_METHOD' })
+      )
+    })
+
+    test('reports desktop app errors with the code the app attached', async () => {
+      const error = new Error('Vault is locked')
+      error.code = 'VAULT_LOCKED'
+      ipcClient.vaultsList.mockRejectedValue(error)
+      const host = createHost()
+      await host.handleMessage({ id: '16', command: 'vaultsList' })
+      expect(handler.send).toHaveBeenCalledWith({
+        id: '16',
+        success: false,
+        error: 'Vault is locked',
+        errorCode: 'DESKTOP_ERROR',
+        retryable: false,
+        desktopErrorCode: 'VAULT_LOCKED'
+      })
+    })
+
+    test('reports a broken connection that cannot be re-established', async () => {
+      ipcClient.vaultsList.mockRejectedValue(new Error('RPC destroyed'))
+      const host = createHost()
+      await host.connectToIPC()
+      ipcClient.ready.mockRejectedValue(new Error('connect ENOENT'))
+
+      await host.handleMessage({ id: '17', command: 'vaultsList' })
+
+      expect(handler.send).toHaveBeenCalledWith({
+        id: '17',
+        success: false,
+        error: 'RPC destroyed',
+        errorCode: 'IPC_DISCONNECTED',
+        retryable: true
+      })
+    })
+  })
+
+  describe('call timeouts', () => {
+    let timers
+
+    beforeEach(() => {
+      // Fire every timer immediately so the first racing timeout wins
+      timers = {
+        setTimeout: jest.fn((fn) => {
+          fn()
+          return 1
+        }),
+        clearTimeout: jest.fn()
+      }
+    })
+
+    test('uses the command timeout class', () => {
+      const host = createHost()
+      expect(host.getCallTimeout('encryptionGetStatus')).toEqual({
+        limit: 10000,
+        source: 'fast command limit'
+      })
+      expect(host.getCallTimeout('pairActiveVault')).toEqual({
+        limit: 300000,
+        source: 'slow command limit'
+      })
+      expect(host.getCallTimeout('vaultsGet')).toEqual({
+        limit: 45000,
+        source: 'default command limit'
+      })
+    })
+
+    test('honours only shorter request deadlines', () => {
+      const host = createHost()
+      expect(host.getCallTimeout('vaultsGet', 2000)).toEqual({
+        limit: 2000,
+        source: 'request deadline'
+      })
+      expect(host.getCallTimeout('encryptionGetStatus', 60000)).toEqual({
+        limit: 10000,
+        source: 'fast command limit'
+      })
+      expect(host.getCallTimeout('vaultsGet', -1).limit).toBe(45000)
+    })
+
+    test('reports which command and limit fired', async () => {
+      const host = createHost()
+      await host.connectToIPC()
+      host.timers = timers
+      ipcClient.vaultsList.mockReturnValue(new Promise(() => {}))
+
+      await host.handleMessage({ id: '5', command: 'vaultsList' })
+
+      expect(handler.send).toHaveBeenCalledWith({
+        id: '5',
+        success: false,
+        error:
+          'IPC call vaultsList timed out after 45 seconds (default command limit)',
+        errorCode: 'IPC_TIMEOUT',
+        retryable: true,
+        timeout: {
+          command: 'vaultsList',
+          limit: 45000,
+          source: 'default command limit'
+        }
+      })
+      expect(host.desktopAppStatus).toBe(DESKTOP_APP_STATUS.NOT_RUNNING)
+    })
+
+    test('request deadline does not mark the desktop app as gone', async () => {
+      const host = createHost()
+      await host.connectToIPC()
+      host.timers = timers
+      ipcClient.vaultsList.mockReturnValue(new Promise(() => {}))
+
+      await host.handleMessage({ id: '6', command: 'vaultsList', timeout: 500 })
+
+      expect(handler.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          id: '6',
+          error:
+            'IPC call vaultsList timed out after 0.5 seconds (request deadline)'
+        })
+      )
+      expect(host.desktopAppStatus).toBe(DESKTOP_APP_STATUS.CONNECTED)
+    })
+  })
+
+  describe('caller verification', () => {
+    const origin = `chrome-extension://${'a'.repeat(32)}/`
+
+    test('serves allowed callers and reports them', async () => {
+      const host = createHost({
+        callerArgs: [origin],
+        allowedExtensions: { chromium: ['a'.repeat(32)], firefox: [] }
+      })
+      await host.handleMessage({ id: '1', command: 'checkAvailability' })
+      expect(handler.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          id: '1',
+          success: true,
+          result: expect.objectContaining({
+            caller: { browser: 'chromium', extensionId: 'a'.repeat(32) }
+          })
+        })
+      )
+    })
+
+    test('refuses unknown callers without connecting', async () => {
+      const host = createHost({
+        callerArgs: ['/path/com.pearpass.json', 'evil@example.com'],
+        allowedExtensions: { chromium: [], firefox: ['pearpass@example.com'] }
+      })
+      await host.start()
+      await host.handleMessage({ id: '2', command: 'vaultsList' })
+
+      expect(createIpcClientMock).not.toHaveBeenCalled()
+      expect(handler.send).toHaveBeenCalledWith({
+        id: '2',
+        success: false,
+        error:
+          'Browser extension evil@example.com (firefox) is not allowed to use the PearPass native messaging bridge',
+        errorCode: 'CALLER_NOT_ALLOWED',
+        retryable: false
+      })
+      host.stop()
+    })
+
+    test('refuses every caller when no IDs are configured', async () => {
+      const host = createHost({
+        callerArgs: [origin],
+        allowedExtensions: { chromium: [], firefox: [] }
+      })
+      expect(host.callerAllowed).toBe(false)
+
+      await host.start()
+      await host.handleMessage({ id: '3', command: 'checkAvailability' })
+
+      expect(log).toHaveBeenCalledWith(
+        'ERROR',
+        'No allowed extension IDs configured, set PEARPASS_ALLOWED_EXTENSION_IDS'
+      )
+      expect(createIpcClientMock).not.toHaveBeenCalled()
+      expect(handler.send).toHaveBeenCalledWith(
+        expect.objectContaining({ id: '3', errorCode: 'CALLER_NOT_ALLOWED' })
+      )
+      host.stop()
+    })
+  })
+
+  describe('session policy', () => {
+    beforeEach(() => {
+      Object.assign(ipcClient, {
+        nmGetAppIdentity: jest.fn(() => Promise.resolve({ id: 'app' })),
+        nmBeginHandshake: jest.fn(() => Promise.resolve({})),
+        nmFinishHandshake: jest.fn(() => Promise.resolve({})),
+        nmConfirmPairing: jest.fn(() => Promise.resolve({})),
+        nmCloseSession: jest.fn(() => Promise.resolve({})),
+        getDecryptionKey: jest.fn(() => Promise.resolve('key'))
+      })
+    })
+
+    // Minimal valid params for the secure channel steps that take any
+    const PARAMS = {
+      nmBeginHandshake: { extEphemeralPubB64: 'cHVi' },
+      nmFinishHandshake: { sessionId: 's1' },
+      nmCloseSession: { sessionId: 's1' }
+    }
+
+    const send = (host, command) =>
+      host.handleMessage({ id: command, command, params: PARAMS[command] })
+
+    const responseFor = (id) =>
+      handler.send.mock.calls.map(([r]) => r).find((r) => r.id === id)
+
+    test('allows only identity and handshake commands before handshake', async () => {
+      const host = createHost({ sessionState: SESSION_STATES.NONE })
+      await send(host, 'nmGetAppIdentity')
+      await send(host, 'vaultsList')
+
+      expect(responseFor('nmGetAppIdentity').success).toBe(true)
+      expect(ipcClient.vaultsList).not.toHaveBeenCalled()
+      expect(responseFor('vaultsList')).toEqual({
+        id: 'vaultsList',
+        success: false,
+        error:
+          'vaultsList requires a completed secure channel handshake (current state: none)',
+        errorCode: 'SESSION_POLICY_VIOLATION',
+        retryable: false
+      })
+    })
+
+    test('tracks handshake and pairing to unlock sensitive commands', async () => {
+      const host = createHost({ sessionState: SESSION_STATES.NONE })
+      await send(host, 'nmBeginHandshake')
+      expect(host.sessionState).toBe(SESSION_STATES.HANDSHAKING)
+      await send(host, 'nmFinishHandshake')
+      expect(host.sessionState).toBe(SESSION_STATES.ESTABLISHED)
+
+      await send(host, 'vaultsList')
+      expect(responseFor('vaultsList').success).toBe(true)
+
+      await send(host, 'getDecryptionKey')
+      expect(responseFor('getDecryptionKey').errorCode).toBe(
+        'SESSION_POLICY_VIOLATION'
+      )
+      expect(ipcClient.getDecryptionKey).not.toHaveBeenCalled()
+
+      await send(host, 'nmConfirmPairing')
+      expect(host.sessionState).toBe(SESSION_STATES.PAIRED)
+      handler.send.mockClear()
+      await send(host, 'getDecryptionKey')
+      expect(responseFor('getDecryptionKey').success).toBe(true)
+
+      await send(host, 'nmCloseSession')
+      expect(host.sessionState).toBe(SESSION_STATES.NONE)
+    })
+
+    test('a result reporting failure does not advance the channel', async () => {
+      ipcClient.nmConfirmPairing.mockResolvedValue({
+        success: false,
+        error: 'Pairing rejected'
+      })
+      const host = createHost({ sessionState: SESSION_STATES.ESTABLISHED })
+
+      await send(host, 'nmConfirmPairing')
+      await send(host, 'getDecryptionKey')
+
+      expect(host.sessionState).toBe(SESSION_STATES.ESTABLISHED)
+      expect(responseFor('getDecryptionKey').errorCode).toBe(
+        'SESSION_POLICY_VIOLATION'
+      )
+    })
+
+    test('a handshake step reporting failure resets the channel', async () => {
+      ipcClient.nmFinishHandshake.mockResolvedValue({ success: false })
+      const host = createHost({ sessionState: SESSION_STATES.HANDSHAKING })
+      await send(host, 'nmFinishHandshake')
+      expect(host.sessionState).toBe(SESSION_STATES.NONE)
+    })
+
+    test('failed handshake resets the channel', async () => {
+      ipcClient.nmFinishHandshake.mockRejectedValue(new Error('bad proof'))
+      const host = createHost({ sessionState: SESSION_STATES.HANDSHAKING })
+      await send(host, 'nmFinishHandshake')
+      expect(host.sessionState).toBe(SESSION_STATES.NONE)
+    })
+
+    test('losing the desktop connection resets the channel', async () => {
+      const host = createHost()
+      await host.connectToIPC()
+      ipcClient.emit('close')
+      expect(host.sessionState).toBe(SESSION_STATES.NONE)
+    })
+  })
+
+  // Drive a host through a real handler on stdin/stdout, as the browser does
+  const startStdioHost = async () => {
+    const stdin = new PassThrough()
+    const stdout = new PassThrough()
+    const host = createHost({ handler: undefined, stdin, stdout })
+    await host.start()
+    await host.connectPromise
+    return { host, stdin, stdout }
+  }
+
+  const writeFrame = (stream, message) => {
+    const body = Buffer.from(JSON.stringify(message))
+    const header = Buffer.alloc(4)
+    header.writeUInt32LE(body.length, 0)
+    stream.write(Buffer.concat([header, body]))
+  }
+
+  // The next reply, unwrapped from its protocol envelope; pushed events
+  // such as desktop-status-changed are skipped
+  const readReply = (stream) =>
+    new Promise((resolve) => {
+      const onData = (frame) => {
+        const { message } = JSON.parse(frame.subarray(4).toString())
+        if (!message.event) {
+          stream.off('data', onData)
+          resolve(message)
+        }
+      }
+      stream.on('data', onData)
+    })
+
+  describe('batches', () => {
+    beforeEach(() => {
+      Object.assign(ipcClient, {
+        encryptionGetStatus: jest.fn(() => Promise.resolve({ status: true })),
+        vaultsGetStatus: jest.fn(() => Promise.resolve({ status: true })),
+        getAutoLockSettings: jest.fn(() =>
+          Promise.reject(new Error('settings unavailable'))
+        )
+      })
+    })
+
+    test('answers an array of requests with one response keyed by id', async () => {
+      const host = createHost()
+      await host.connectToIPC()
+
+      await host.handleMessage([
+        { id: 'a', command: 'encryptionGetStatus' },
+        { id: 'b', command: 'vaultsGetStatus' },
+        { id: 'c', command: 'getAutoLockSettings' },
+        { id: 'd', command: 'nope' }
+      ])
+
+      expect(handler.send).toHaveBeenCalledTimes(1)
+      expect(handler.send).toHaveBeenCalledWith({
+        id: null,
+        success: true,
+        result: {
+          a: { success: true, result: { status: true } },
+          b: { success: true, result: { status: true } },
+          c: {
+            success: false,
+            error: 'settings unavailable',
+            errorCode: 'DESKTOP_ERROR',
+            retryable: false
+          },
+          d: {
+            success: false,
+            error: 'Unknown method: nope',
+            errorCode: 'UNKNOWN_METHOD',
+            retryable: false
+          }
+        }
+      })
+    })
+
+    test('runs a sequential batch one request at a time', async () => {
+      const order = []
+      const resolvers = {}
+      ;['encryptionGetStatus', 'vaultsGetStatus'].forEach((name) => {
+        ipcClient[name].mockImplementation(() => {
+          order.push(`start ${name}`)
+          return new Promise((resolve) => {
+            resolvers[name] = () => {
+              order.push(`end ${name}`)
+              resolve({})
+            }
+          })
+        })
+      })
+      const host = createHost()
+      await host.connectToIPC()
+
+      const pending = host.handleMessage({
+        id: 'batch-1',
+        mode: 'sequential',
+        batch: [
+          { id: 1, command: 'encryptionGetStatus' },
+          { id: 2, command: 'vaultsGetStatus' }
+        ]
+      })
+      await new Promise(setImmediate)
+      expect(order).toEqual(['start encryptionGetStatus'])
+      resolvers.encryptionGetStatus()
+      await new Promise(setImmediate)
+      resolvers.vaultsGetStatus()
+      await pending
+
+      expect(order).toEqual([
+        'start encryptionGetStatus',
+        'end encryptionGetStatus',
+        'start vaultsGetStatus',
+        'end vaultsGetStatus'
+      ])
+      expect(handler.send).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'batch-1', success: true })
+      )
+    })
+
+    test('runs a parallel batch concurrently', async () => {
+      jest.useFakeTimers({ doNotFake: ['setImmediate'] })
+      ipcClient.encryptionGetStatus.mockReturnValue(new Promise(() => {}))
+      const host = createHost({ timers: { setTimeout, clearTimeout } })
+      await host.connectToIPC()
+
+      host.handleMessage({
+        id: 'batch-2',
+        batch: [
+          { id: 1, command: 'encryptionGetStatus' },
+          { id: 2, command: 'vaultsGetStatus' }
+        ]
+      })
+      await new Promise(setImmediate)
+
+      expect(ipcClient.vaultsGetStatus).toHaveBeenCalled()
+      expect(host.inFlightRequests.has(1)).toBe(true)
+      jest.useRealTimers()
+    })
+
+    test('answers control messages inside a batch', async () => {
+      const host = createHost()
+      await host.connectToIPC()
+
+      await host.handleMessage({
+        id: 'batch-3',
+        batch: [
+          { id: 1, command: 'capabilities', params: { compression: [] } },
+          { id: 2, command: 'cancel', params: { requestId: 'x' } }
+        ]
+      })
+
+      expect(handler.setCompression).toHaveBeenCalledWith(null, undefined)
+      expect(handler.send).toHaveBeenCalledTimes(1)
+      expect(handler.send).toHaveBeenCalledWith({
+        id: 'batch-3',
+        success: true,
+        result: {
+          1: {
+            success: true,
+            result: { compression: null, compressionThreshold: 16384 }
+          },
+          2: { success: true, result: { requestId: 'x', cancelled: false } }
+        }
+      })
+    })
+
+    test('answers an array written to stdin with one array reply', async () => {
+      const { host, stdin, stdout } = await startStdioHost()
+
+      writeFrame(stdin, [
+        { id: 'a', command: 'encryptionGetStatus' },
+        { id: 'b', command: 'vaultsGetStatus' }
+      ])
+
+      expect(await readReply(stdout)).toEqual({
+        id: null,
+        success: true,
+        result: {
+          a: { success: true, result: { status: true } },
+          b: { success: true, result: { status: true } }
+        }
+      })
+      host.stop()
+    })
+
+    test('rejects an invalid batch with an error for its id', async () => {
+      const host = createHost()
+
+      await host.handleMessage({ id: 'batch-4', batch: [] })
+
+      expect(handler.send).toHaveBeenCalledWith({
+        id: 'batch-4',
+        success: false,
+        error: 'Invalid batch: no requests',
+        errorCode: 'INVALID_MESSAGE',
+        retryable: false
+      })
+    })
+  })
+
+  describe('logging', () => {
+    test('changes the log level and destination at runtime', async () => {
+      const host = createHost()
+
+      await host.handleMessage({
+        id: 'log-1',
+        command: 'logging',
+        params: { level: 'DEBUG', destination: 'stderr' }
+      })
+
+      expect(configureLogging).toHaveBeenCalledWith({
+        level: 'DEBUG',
+        destination: 'stderr'
+      })
+      expect(handler.send).toHaveBeenCalledWith({
+        id: 'log-1',
+        success: true,
+        result: {
+          level: 'DEBUG',
+          destination: 'stderr',
+          file: '/home/testuser/.pearpass/logs/native-messaging-bridge.log'
+        }
+      })
+      expect(log).toHaveBeenCalledWith('INFO', 'Logging set to DEBUG (stderr)')
+    })
+
+    test('refuses changes before the secure channel handshake', async () => {
+      const host = createHost({ sessionState: SESSION_STATES.NONE })
+
+      await host.handleMessage({
+        id: 'log-4',
+        command: 'logging',
+        params: { level: 'DEBUG' }
+      })
+      await host.handleMessage({ id: 'log-5', command: 'logging' })
+
+      expect(configureLogging).not.toHaveBeenCalled()
+      expect(handler.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          id: 'log-4',
+          errorCode: 'SESSION_POLICY_VIOLATION'
+        })
+      )
+      expect(handler.send).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'log-5', success: true })
+      )
+    })
+
+    test('reports the current settings without params', async () => {
+      const host = createHost()
+
+      await host.handleMessage({ id: 'log-2', command: 'logging' })
+
+      expect(configureLogging).not.toHaveBeenCalled()
+      expect(handler.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          id: 'log-2',
+          success: true,
+          result: expect.objectContaining({ level: 'OFF' })
+        })
+      )
+    })
+
+    test.each([{ level: 'VERBOSE' }, { destination: '/etc/passwd' }])(
+      'rejects %j',
+      async (params) => {
+        const host = createHost()
+
+        await host.handleMessage({ id: 'log-3', command: 'logging', params })
+
+        expect(configureLogging).not.toHaveBeenCalled()
+        expect(handler.send).toHaveBeenCalledWith(
+          expect.objectContaining({
+            id: 'log-3',
+            success: false,
+            errorCode: 'INVALID_PARAMS'
+          })
+        )
+      }
+    )
+  })
+
+  describe('listCommands', () => {
+    test('describes every command definition without connecting', async () => {
+      const host = createHost({ sessionState: SESSION_STATES.NONE })
+
+      await host.handleMessage({ id: 'l1', command: 'listCommands' })
+
+      const [[{ id, success, result }]] = handler.send.mock.calls
+      expect({ id, success }).toEqual({ id: 'l1', success: true })
+      expect(createIpcClientMock).not.toHaveBeenCalled()
+      expect(result.commands).toHaveLength(COMMAND_DEFINITIONS.length)
+      expect(result.commands).toContainEqual({
+        id: 1025,
+        name: 'pairActiveVault',
+        category: 'misc',
+        direction: 'call',
+        access: 'session',
+        sensitive: false,
+        timeout: { timeoutClass: 'slow', limit: 300000 },
+        cancelCommand: 'cancelPairActiveVault',
+        event: null
+      })
+      expect(result.commands).toContainEqual({
+        id: 1045,
+        name: 'onVaultAccessRevoked',
+        category: 'events',
+        direction: 'push',
+        access: 'session',
+        sensitive: false,
+        timeout: null,
+        cancelCommand: null,
+        event: 'vault-access-revoked'
+      })
+      expect(
+        result.commands.find(({ name }) => name === 'hashPassword')
+      ).toEqual(expect.objectContaining({ category: 'keys', sensitive: true }))
+    })
+  })
+
+  describe('hello', () => {
+    test('reports versions, capabilities and the commands the desktop exposes', async () => {
+      ipcClient.vaultsGetStatus = jest.fn()
+      const host = createHost()
+
+      await host.handleMessage({
+        id: 'h1',
+        command: 'hello',
+        params: {
+          version: '1.4.0',
+          protocolVersion: 1,
+          capabilities: ['chunking', 'batch', 'telepathy']
+        }
+      })
+
+      expect(createIpcClientMock).toHaveBeenCalled()
+      expect(handler.send).toHaveBeenCalledWith({
+        id: 'h1',
+        success: true,
+        result: {
+          bridgeVersion: BRIDGE_VERSION,
+          protocolVersion: 1,
+          minProtocolVersion: 1,
+          capabilities: ['chunking', 'batch'],
+          unsupportedCapabilities: ['telepathy'],
+          controlMessages: [
+            'hello',
+            'checkAvailability',
+            'listCommands',
+            'cancel',
+            'subscribe',
+            'unsubscribe',
+            'capabilities',
+            'logging'
+          ],
+          desktopAppStatus: 'connected',
+          commands: ['vaultsGetStatus', 'vaultsList'],
+          compression: null,
+          compressionThreshold: 16384
+        }
+      })
+      expect(host.peer).toEqual({
+        version: '1.4.0',
+        protocolVersion: 1,
+        capabilities: ['chunking', 'batch']
+      })
+    })
+
+    test('agrees to every capability when none are declared', async () => {
+      createIpcClientMock.mockImplementation(() => {
+        throw Object.assign(new Error('connect ENOENT'), { code: 'ENOENT' })
+      })
+      const host = createHost()
+
+      await host.handleMessage({
+        id: 'h2',
+        command: 'hello',
+        params: { protocolVersion: 1 }
+      })
+
+      const [[{ result }]] = handler.send.mock.calls
+      expect(result.capabilities).toEqual(Object.values(BRIDGE_CAPABILITIES))
+      expect(result.commands).toBeNull()
+      expect(result.desktopAppStatus).not.toBe('connected')
+    })
+
+    test('negotiates compression', async () => {
+      const host = createHost()
+
+      await host.handleMessage({
+        id: 'h5',
+        command: 'hello',
+        params: {
+          protocolVersion: 1,
+          capabilities: ['compression'],
+          compression: ['brotli', 'deflate'],
+          compressionThreshold: 1024
+        }
+      })
+
+      expect(handler.setCompression).toHaveBeenCalledWith('deflate', 1024)
+      expect(handler.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          id: 'h5',
+          result: expect.objectContaining({
+            compression: 'deflate',
+            compressionThreshold: 1024
+          })
+        })
+      )
+    })
+
+    test('keeps compression off unless it was agreed', async () => {
+      const host = createHost()
+      await host.handleMessage({
+        id: 'h6',
+        command: 'hello',
+        params: { protocolVersion: 1, capabilities: ['batch'] }
+      })
+      handler.send.mockClear()
+
+      await host.handleMessage({
+        id: 'caps',
+        command: 'capabilities',
+        params: { compression: ['deflate'] }
+      })
+
+      expect(handler.setCompression).toHaveBeenLastCalledWith(null, undefined)
+      expect(handler.send).toHaveBeenCalledWith({
+        id: 'caps',
+        success: true,
+        result: { compression: null, compressionThreshold: 16384 }
+      })
+    })
+
+    test.each([
+      [{ protocolVersion: 0 }, 'INVALID_PARAMS'],
+      [{ protocolVersion: 2, minProtocolVersion: 2 }, 'INCOMPATIBLE_PROTOCOL']
+    ])('refuses %j', async (params, errorCode) => {
+      const host = createHost()
+
+      await host.handleMessage({ id: 'h3', command: 'hello', params })
+
+      expect(handler.send).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'h3', success: false, errorCode })
+      )
+      expect(host.peer).toBeNull()
+    })
+
+    test('explains an incompatible protocol', async () => {
+      const host = createHost()
+
+      await host.handleMessage({
+        id: 'h4',
+        command: 'hello',
+        params: { version: '9.0.0', protocolVersion: 3, minProtocolVersion: 3 }
+      })
+
+      expect(handler.send).toHaveBeenCalledWith({
+        id: 'h4',
+        success: false,
+        error: `Extension protocol 3-3 is not compatible with bridge ${BRIDGE_VERSION} (protocol 1-1)`,
+        errorCode: 'INCOMPATIBLE_PROTOCOL',
+        retryable: false,
+        protocol: {
+          bridgeVersion: BRIDGE_VERSION,
+          protocolVersion: 1,
+          minProtocolVersion: 1
+        }
+      })
+    })
+
+    test('accepts a newer extension that still speaks this protocol', async () => {
+      const host = createHost()
+
+      await host.handleMessage({
+        id: 'h5',
+        command: 'hello',
+        params: { protocolVersion: 2, minProtocolVersion: 1 }
+      })
+
+      expect(handler.send).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'h5', success: true })
+      )
+    })
+
+    test('BRIDGE_VERSION matches package.json', () => {
+      const { version } = JSON.parse(
+        fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8')
+      )
+      expect(BRIDGE_VERSION).toBe(version)
+    })
+  })
+
+  describe('JSON-RPC', () => {
+    test('answers a JSON-RPC request in JSON-RPC form', async () => {
+      const host = createHost()
+      await host.connectToIPC()
+
+      await host.handleMessage({ jsonrpc: '2.0', id: 1, method: 'vaultsList' })
+
+      expect(ipcClient.vaultsList).toHaveBeenCalledWith({})
+      expect(handler.send).toHaveBeenCalledWith({
+        jsonrpc: '2.0',
+        id: 1,
+        result: ['vault-1']
+      })
+    })
+
+    test('reports failures as JSON-RPC errors', async () => {
+      const host = createHost()
+      await host.connectToIPC()
+
+      await host.handleMessage({ jsonrpc: '2.0', id: 'x', method: 'nope' })
+
+      expect(handler.send).toHaveBeenCalledWith({
+        jsonrpc: '2.0',
+        id: 'x',
+        error: {
+          code: -32601,
+          message: 'Unknown method: nope',
+          data: { errorCode: 'UNKNOWN_METHOD', retryable: false }
+        }
+      })
+    })
+
+    test('answers control messages', async () => {
+      const host = createHost()
+
+      await host.handleMessage({
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'cancel',
+        params: { requestId: 'x' }
+      })
+
+      expect(handler.send).toHaveBeenCalledWith({
+        jsonrpc: '2.0',
+        id: 2,
+        result: { requestId: 'x', cancelled: false }
+      })
+    })
+
+    test('runs notifications without a response', async () => {
+      const host = createHost()
+      await host.connectToIPC()
+
+      await host.handleMessage({ jsonrpc: '2.0', method: 'vaultsList' })
+      await host.handleMessage({ jsonrpc: '2.0', method: 'nope' })
+
+      expect(ipcClient.vaultsList).toHaveBeenCalled()
+      expect(handler.send).not.toHaveBeenCalled()
+    })
+
+    test('rejects an invalid request with a null id', async () => {
+      const host = createHost()
+
+      await host.handleMessage({ jsonrpc: '2.0', id: {}, method: 'vaultsList' })
+
+      expect(handler.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          jsonrpc: '2.0',
+          id: null,
+          error: expect.objectContaining({ code: -32600 })
+        })
+      )
+    })
+
+    test('answers a JSON-RPC batch with an array, skipping notifications', async () => {
+      const host = createHost()
+      await host.connectToIPC()
+
+      await host.handleMessage([
+        { jsonrpc: '2.0', id: 1, method: 'vaultsList' },
+        { jsonrpc: '2.0', method: 'vaultsList' },
+        { jsonrpc: '2.0', id: 2, method: 'nope' }
+      ])
+
+      expect(handler.send).toHaveBeenCalledTimes(1)
+      const [[responses]] = handler.send.mock.calls
+      expect(responses).toHaveLength(2)
+      expect(responses).toEqual(
+        expect.arrayContaining([
+          { jsonrpc: '2.0', id: 1, result: ['vault-1'] },
+          expect.objectContaining({ id: 2, error: expect.any(Object) })
+        ])
+      )
+    })
+
+    test('answers a JSON-RPC batch written to stdin with one array', async () => {
+      const { host, stdin, stdout } = await startStdioHost()
+
+      writeFrame(stdin, [
+        { jsonrpc: '2.0', id: 1, method: 'vaultsList' },
+        { jsonrpc: '2.0', id: 2, method: 'vaultsList' }
+      ])
+
+      const responses = await readReply(stdout)
+      expect(responses).toHaveLength(2)
+      expect(responses).toEqual(
+        expect.arrayContaining([
+          { jsonrpc: '2.0', id: 1, result: ['vault-1'] },
+          { jsonrpc: '2.0', id: 2, result: ['vault-1'] }
+        ])
+      )
+      host.stop()
+    })
+
+    test('sends nothing for a batch of notifications', async () => {
+      const host = createHost()
+      await host.connectToIPC()
+
+      await host.handleMessage([{ jsonrpc: '2.0', method: 'vaultsList' }])
+
+      expect(handler.send).not.toHaveBeenCalled()
+    })
+
+    test('keeps answering native messages in native form', async () => {
+      const host = createHost()
+      await host.connectToIPC()
+
+      await host.handleMessage({ jsonrpc: '2.0', id: 1, method: 'vaultsList' })
+      await host.handleMessage({ id: '2', command: 'vaultsList' })
+
+      expect(handler.send).toHaveBeenLastCalledWith({
+        id: '2',
+        success: true,
+        result: ['vault-1']
+      })
+    })
+  })
+
+  describe('cancellation', () => {
+    test('cancels an in-flight request and drops its late response', async () => {
+      let resolveCall
+      ipcClient.vaultsList.mockReturnValue(
+        new Promise((resolve) => {
+          resolveCall = resolve
+        })
+      )
+      const host = createHost()
+      await host.connectToIPC()
+
+      const pending = host.handleMessage({ id: '7', command: 'vaultsList' })
+      await Promise.resolve()
+      expect(host.inFlightRequests.has('7')).toBe(true)
+
+      await host.handleMessage({
+        id: '8',
+        command: 'cancel',
+        params: { requestId: '7' }
+      })
+      await pending
+      resolveCall(['late'])
+      await Promise.resolve()
+
+      expect(handler.send).toHaveBeenCalledWith({
+        id: '8',
+        success: true,
+        result: { requestId: '7', cancelled: true, forwarded: false }
+      })
+      expect(handler.send).toHaveBeenCalledWith({
+        id: '7',
+        success: false,
+        error: 'Request cancelled: vaultsList',
+        errorCode: 'CANCELLED',
+        retryable: false
+      })
+      expect(handler.send).not.toHaveBeenCalledWith(
+        expect.objectContaining({ result: ['late'] })
+      )
+      expect(host.inFlightRequests.size).toBe(0)
+    })
+
+    test('stop cancels in-flight requests', async () => {
+      ipcClient.vaultsList.mockReturnValue(new Promise(() => {}))
+      const host = createHost()
+      await host.start()
+      await host.connectToIPC()
+
+      const pending = host.handleMessage({ id: '7', command: 'vaultsList' })
+      await Promise.resolve()
+      expect(host.inFlightRequests.has('7')).toBe(true)
+
+      handler.emit('outputClosed', new Error('write EPIPE'))
+      await pending
+
+      expect(host.isRunning).toBe(false)
+      expect(host.inFlightRequests.size).toBe(0)
+      expect(handler.send).toHaveBeenCalledWith(
+        expect.objectContaining({ id: '7', errorCode: 'CANCELLED' })
+      )
+    })
+
+    test('forwards cancellation to the desktop when supported', async () => {
+      ipcClient.pairActiveVault = jest.fn(() => new Promise(() => {}))
+      ipcClient.cancelPairActiveVault = jest.fn(() => Promise.resolve())
+      const host = createHost()
+      await host.connectToIPC()
+
+      const pending = host.handleMessage({
+        id: '9',
+        command: 'pairActiveVault',
+        params: { inviteCode: 'invite' }
+      })
+      await Promise.resolve()
+      await host.handleMessage({
+        id: '10',
+        command: 'cancel',
+        params: { requestId: '9' }
+      })
+      await pending
+
+      expect(ipcClient.cancelPairActiveVault).toHaveBeenCalled()
+      expect(handler.send).toHaveBeenCalledWith({
+        id: '10',
+        success: true,
+        result: { requestId: '9', cancelled: true, forwarded: true }
+      })
+    })
+
+    test('cancels a request waiting for the connection', async () => {
+      // The connection never becomes ready; fake timers keep its timeout
+      // from outliving the test
+      jest.useFakeTimers()
+      ipcClient.ready.mockReturnValue(new Promise(() => {}))
+      const host = createHost({ timers: { setTimeout, clearTimeout } })
+      const pending = host.handleMessage({ id: '11', command: 'vaultsList' })
+
+      await host.handleMessage({
+        id: '12',
+        command: 'cancel',
+        params: { requestId: '11' }
+      })
+      await pending
+
+      expect(handler.send).toHaveBeenCalledWith({
+        id: '11',
+        success: false,
+        error: 'Request cancelled: vaultsList',
+        errorCode: 'CANCELLED',
+        retryable: false
+      })
+      host.stop()
+      jest.useRealTimers()
+    })
+
+    test('reports unknown request ids as not cancelled', async () => {
+      const host = createHost()
+      await host.handleMessage({
+        id: '13',
+        command: 'cancel',
+        params: { requestId: 'missing' }
+      })
+      expect(handler.send).toHaveBeenCalledWith({
+        id: '13',
+        success: true,
+        result: { requestId: 'missing', cancelled: false }
+      })
+    })
+  })
+
+  describe('single-flight connection', () => {
+    const deferReady = () => {
+      let resolveReady
+      let rejectReady
+      ipcClient.ready.mockReturnValue(
+        new Promise((resolve, reject) => {
+          resolveReady = resolve
+          rejectReady = reject
+        })
+      )
+      return { resolve: () => resolveReady(), reject: (e) => rejectReady(e) }
+    }
+
+    test('concurrent requests share one client and drain in order', async () => {
+      const ready = deferReady()
+      const host = createHost()
+      const pending = ['a', 'b', 'c'].map((id) =>
+        host.handleMessage({ id, command: 'vaultsList' })
+      )
+      expect(host.pendingRequests).toHaveLength(3)
+
+      ready.resolve()
+      await Promise.all(pending)
+
+      expect(createIpcClientMock).toHaveBeenCalledTimes(1)
+      expect(handler.send.mock.calls.map(([response]) => response.id)).toEqual([
+        'a',
+        'b',
+        'c'
+      ])
+      expect(host.pendingRequests).toHaveLength(0)
+    })
+
+    test('queued requests fail together with the status error', async () => {
+      const ready = deferReady()
+      const host = createHost()
+      const pending = ['a', 'b'].map((id) =>
+        host.handleMessage({ id, command: 'vaultsList' })
+      )
+
+      ready.reject(new Error('connect ENOENT'))
+      await Promise.all(pending)
+
+      expect(createIpcClientMock).toHaveBeenCalledTimes(1)
+      expect(handler.send).toHaveBeenCalledTimes(2)
+      expect(handler.send).toHaveBeenCalledWith({
+        id: 'b',
+        success: false,
+        error: 'PearPass desktop app is not running',
+        errorCode: DESKTOP_APP_STATUS.NOT_RUNNING,
+        retryable: true
+      })
+    })
+
+    test('rejects requests beyond the queue limit', async () => {
+      const ready = deferReady()
+      const host = createHost({ maxPendingRequests: 1 })
+      const first = host.handleMessage({ id: 'a', command: 'vaultsList' })
+      await host.handleMessage({ id: 'b', command: 'vaultsList' })
+
+      expect(handler.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          id: 'b',
+          success: false,
+          error: expect.stringContaining('Too many requests'),
+          errorCode: ERROR_CODES.QUEUE_FULL,
+          retryable: true
+        })
+      )
+
+      ready.resolve()
+      await first
+      expect(handler.send).toHaveBeenLastCalledWith({
+        id: 'a',
+        success: true,
+        result: ['vault-1']
+      })
+    })
+
+    test('reconnectIPC joins an in-flight attempt', async () => {
+      const ready = deferReady()
+      const host = createHost()
+      const connecting = host.connectToIPC()
+      const reconnecting = host.reconnectIPC()
+      ready.resolve()
+      await Promise.all([connecting, reconnecting])
+      expect(createIpcClientMock).toHaveBeenCalledTimes(1)
+      expect(host.desktopAppStatus).toBe(DESKTOP_APP_STATUS.CONNECTED)
+    })
+  })
+
+  describe('background reconnection', () => {
+    const statusEvents = () =>
+      handler.send.mock.calls
+        .map(([message]) => message)
+        .filter((message) => message.event === 'desktop-status-changed')
+        .map((message) => message.data.status)
+
+    beforeEach(() => {
+      jest.useFakeTimers()
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    test('pushes status transitions and reconnects after close', async () => {
+      const host = createHost({ timers: { setTimeout, clearTimeout } })
+      await host.start()
+      await host.connectPromise
+      expect(statusEvents()).toEqual([DESKTOP_APP_STATUS.CONNECTED])
+
+      ipcClient.emit('close')
+      expect(statusEvents()).toEqual([
+        DESKTOP_APP_STATUS.CONNECTED,
+        DESKTOP_APP_STATUS.NOT_RUNNING
+      ])
+      expect(handler.send).toHaveBeenLastCalledWith({
+        event: 'desktop-status-changed',
+        data: {
+          status: DESKTOP_APP_STATUS.NOT_RUNNING,
+          message: 'PearPass desktop app is not running'
+        }
+      })
+
+      jest.advanceTimersByTime(1000)
+      await host.connectPromise
+      expect(createIpcClientMock).toHaveBeenCalledTimes(2)
+      expect(host.desktopAppStatus).toBe(DESKTOP_APP_STATUS.CONNECTED)
+      expect(host.reconnectSupervisor.attempt).toBe(0)
+
+      host.stop()
+    })
+
+    test('does not repeat pushes for unchanged status', async () => {
+      ipcClient.ready.mockRejectedValue(new Error('connect ENOENT'))
+      const host = createHost({ timers: { setTimeout, clearTimeout } })
+      await host.start()
+      await host.connectPromise
+
+      jest.advanceTimersByTime(1000)
+      await host.connectPromise
+      expect(createIpcClientMock).toHaveBeenCalledTimes(2)
+      expect(statusEvents()).toEqual([DESKTOP_APP_STATUS.NOT_RUNNING])
+
+      host.stop()
+      jest.runAllTimers()
+      expect(createIpcClientMock).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('socket watcher', () => {
+    let socketWatcher
+
+    beforeEach(() => {
+      socketWatcher = new EventEmitter()
+      socketWatcher.start = jest.fn(() => {
+        socketWatcher.isWatching = true
+      })
+      socketWatcher.stop = jest.fn()
+      socketWatcher.isWatching = false
+      socketWatcher.socketExists = false
+    })
+
+    test('connects as soon as the socket appears', async () => {
+      ipcClient.ready.mockRejectedValueOnce(new Error('connect ENOENT'))
+      const host = createHost({ socketWatcher })
+      await host.start()
+      await host.connectPromise
+      expect(socketWatcher.start).toHaveBeenCalled()
+      expect(host.desktopAppStatus).toBe(DESKTOP_APP_STATUS.NOT_RUNNING)
+      expect(host.reconnectSupervisor.timer).toBeNull()
+
+      socketWatcher.socketExists = true
+      socketWatcher.emit('available')
+      await host.connectPromise
+      expect(createIpcClientMock).toHaveBeenCalledTimes(2)
+      expect(host.desktopAppStatus).toBe(DESKTOP_APP_STATUS.CONNECTED)
+
+      host.stop()
+      expect(socketWatcher.stop).toHaveBeenCalled()
+    })
+
+    test('marks app not running when the socket is removed', () => {
+      const host = createHost({ socketWatcher })
+      host.desktopAppStatus = DESKTOP_APP_STATUS.INTEGRATION_DISABLED
+      host.startSocketWatcher()
+      socketWatcher.emit('removed')
+      expect(host.desktopAppStatus).toBe(DESKTOP_APP_STATUS.NOT_RUNNING)
+    })
+  })
+
+  test('createIpcInboundApi forwards vault access revoked pushes', () => {
+    const host = createHost()
+    const method = {}
+    host.createIpcInboundApi().onVaultAccessRevoked(method)
+    method._onrequest({ vaultId: 'v1' })
+    expect(handler.send).toHaveBeenCalledWith({
+      event: 'vault-access-revoked',
+      data: { vaultId: 'v1' }
+    })
+  })
+
+  test('createIpcInboundApi wires every send definition', () => {
+    const host = createHost()
+    const api = host.createIpcInboundApi()
+
+    expect(Object.keys(api)).toEqual(['onVaultAccessRevoked'])
+    expect(api.onVaultAccessRevoked({})()).toBeUndefined()
+  })
+
+  test('logs and drops a push that fails to be relayed', () => {
+    const host = createHost()
+    const method = {}
+    host.createIpcInboundApi().onVaultAccessRevoked(method)
+    jest.spyOn(host.subscriptions, 'isSubscribed').mockImplementation(() => {
+      throw new Error('bad payload')
+    })
+
+    expect(() => method._onrequest({ vaultId: 'v1' })).not.toThrow()
+    expect(log).toHaveBeenCalledWith(
+      'WARN',
+      'Ignoring message from desktop app: bad payload'
+    )
+    expect(handler.send).not.toHaveBeenCalled()
+  })
+
+  test('relays pushes received over a real pear-ipc connection', async () => {
+    const socketDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pearpass-ipc-'))
+    const socketPath = path.join(socketDir, 'bridge.sock')
+    const server = new IPC.Server({
+      socketPath,
+      handlers: {},
+      methods: COMMAND_DEFINITIONS
+    })
+    await server.ready()
+    const pushed = new Promise((resolve) => {
+      server.once('client', (client) => {
+        client.onVaultAccessRevoked({ vaultId: 'v1' })
+        resolve()
+      })
+    })
+
+    const host = createHost({
+      createIpcClient: (options) => new IPC.Client(options),
+      socketPath
+    })
+    await host.connectToIPC()
+    await pushed
+    await new Promise((resolve) => setTimeout(resolve, 100))
+
+    expect(handler.send).toHaveBeenCalledWith({
+      event: 'vault-access-revoked',
+      data: { vaultId: 'v1' }
+    })
+
+    await host.ipcClient.close()
+    await server.close()
+    fs.rmSync(socketDir, { recursive: true, force: true })
+  })
+
+  test('forwardPushedEvent survives a failing extension write', () => {
+    const host = createHost()
+    handler.send.mockImplementation(() => {
+      throw new Error('write after end')
+    })
+    expect(() =>
+      host.forwardPushedEvent('onVaultAccessRevoked', {})
+    ).not.toThrow()
+    expect(log).toHaveBeenCalledWith(
+      'ERROR',
+      'Failed to forward vault-access-revoked to extension: write after end'
+    )
+  })
+
+  test('subscribe filters pushes by event and vault id', async () => {
+    const host = createHost()
+    await host.handleMessage({
+      id: 's1',
+      command: 'subscribe',
+      params: { events: ['vault-access-revoked'], vaultIds: ['v1'] }
+    })
+    expect(handler.send).toHaveBeenCalledWith({
+      id: 's1',
+      success: true,
+      result: { subscriptions: { 'vault-access-revoked': ['v1'] } }
+    })
+    handler.send.mockClear()
+
+    host.forwardPushedEvent('onVaultAccessRevoked', { vaultId: 'v2' })
+    expect(handler.send).not.toHaveBeenCalled()
+
+    host.forwardPushedEvent('onVaultAccessRevoked', { vaultId: 'v1' })
+    expect(handler.send).toHaveBeenCalledWith({
+      event: 'vault-access-revoked',
+      data: { vaultId: 'v1' }
+    })
+  })
+
+  test('unsubscribe replies with the remaining subscriptions', async () => {
+    const host = createHost()
+    await host.handleMessage({
+      id: 'u1',
+      command: 'unsubscribe',
+      params: { events: ['vault-access-revoked'] }
+    })
+    expect(handler.send).toHaveBeenCalledWith({
+      id: 'u1',
+      success: true,
+      result: { subscriptions: {} }
+    })
+
+    handler.send.mockClear()
+    host.forwardPushedEvent('onVaultAccessRevoked', {})
+    expect(handler.send).not.toHaveBeenCalled()
+  })
+
+  test('subscribe rejects unknown event names', async () => {
+    const host = createHost()
+    await host.handleMessage({
+      id: 's2',
+      command: 'subscribe',
+      params: { events: ['vault-exploded'] }
+    })
+    expect(handler.send).toHaveBeenCalledWith({
+      id: 's2',
+      success: false,
+      error: expect.stringContaining('params.events[0] must be one of'),
+      errorCode: 'INVALID_PARAMS',
+      retryable: false,
+      field: 'params.events[0]'
+    })
+    expect(host.subscriptions.isFiltering).toBe(false)
+  })
+
+  test('capabilities negotiates compression with the handler', async () => {
+    const host = createHost()
+    await host.handleMessage({
+      id: 'c1',
+      command: 'capabilities',
+      params: { compression: ['brotli', 'deflate'], compressionThreshold: 4096 }
+    })
+    expect(handler.setCompression).toHaveBeenCalledWith('deflate', 4096)
+    expect(handler.send).toHaveBeenCalledWith({
+      id: 'c1',
+      success: true,
+      result: { compression: 'deflate', compressionThreshold: 4096 }
+    })
+  })
+
+  test('capabilities disables compression when nothing matches', async () => {
+    const host = createHost()
+    await host.handleMessage({ id: 'c2', command: 'capabilities', params: {} })
+    expect(handler.setCompression).toHaveBeenCalledWith(null, undefined)
+    expect(handler.send).toHaveBeenCalledWith({
+      id: 'c2',
+      success: true,
+      result: { compression: null, compressionThreshold: 16384 }
+    })
+  })
+
+  test('start wires handler events and stop tears down', async () => {
+    const host = createHost()
+    await host.start()
+    expect(handler.start).toHaveBeenCalled()
+    expect(host.isRunning).toBe(true)
+
+    handler.emit('disconnect')
+    expect(handler.stop).toHaveBeenCalled()
+    expect(host.isRunning).toBe(false)
+  })
+
+  test('shutdown stops and flushes queued frames and log lines', async () => {
+    const host = createHost()
+    await host.start()
+
+    await expect(host.shutdown()).resolves.toBe(true)
+    expect(host.isRunning).toBe(false)
+    expect(handler.stop).toHaveBeenCalled()
+    expect(handler.flush).toHaveBeenCalled()
+    expect(flushLogs).toHaveBeenCalled()
+  })
+
+  test('keeps running after a protocol error but stops on a stream error', async () => {
+    const host = createHost()
+    await host.start()
+
+    handler.emit('protocolError', new Error('Invalid JSON message'))
+    expect(handler.stop).not.toHaveBeenCalled()
+    expect(host.isRunning).toBe(true)
+
+    handler.emit('error', new Error('EPIPE'))
+    expect(handler.stop).toHaveBeenCalled()
+    expect(host.isRunning).toBe(false)
+  })
+})
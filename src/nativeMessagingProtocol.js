@@ -2,12 +2,50 @@
  * Protocol wrapper for native messaging
  */
 
+import { ERROR_CODES, isRetryableErrorCode } from './constants/errorCodes.js'
+
 /**
  * @typedef {Object} WrappedMessage
  * @property {number} length - Original message length in bytes
  * @property {Object} message - The actual message
  */
 
+/**
+ * @typedef {Object} ErrorResponse
+ * @property {string|number} id - Id of the failed request
+ * @property {false} success
+ * @property {string} error - Human-readable message
+ * @property {string} errorCode - Code from ERROR_CODES, or a desktop app status
+ * @property {boolean} retryable - Whether sending the same request later may succeed
+ * @property {string} [field] - Offending params path for INVALID_PARAMS
+ * @property {Object} [timeout] - Limit that fired for IPC_TIMEOUT
+ * @property {string} [desktopErrorCode] - Code the desktop app attached to a DESKTOP_ERROR
+ * @property {Object} [protocol] - Versions the bridge supports, for INCOMPATIBLE_PROTOCOL
+ */
+
+/**
+ * Build the error response for a failed request. Errors without a catalogue
+ * code are reported as INTERNAL_ERROR.
+ * @param {string|number} id - Id of the failed request
+ * @param {Error & {errorCode?: string, field?: string, timeout?: Object, desktopErrorCode?: string, protocol?: Object}} error
+ * @returns {ErrorResponse}
+ */
+export const createErrorResponse = (id, error) => {
+  const errorCode = error.errorCode || ERROR_CODES.INTERNAL_ERROR
+
+  return {
+    id,
+    success: false,
+    error: error.message,
+    errorCode,
+    retryable: isRetryableErrorCode(errorCode),
+    ...(error.field && { field: error.field }),
+    ...(error.timeout && { timeout: error.timeout }),
+    ...(error.desktopErrorCode && { desktopErrorCode: error.desktopErrorCode }),
+    ...(error.protocol && { protocol: error.protocol })
+  }
+}
+
 /**
  * Wrap a message with protocol metadata
  * @param {Object} message - The message to wrap
@@ -1,8 +1,10 @@
 import {
+  createErrorResponse,
   wrapMessage,
   unwrapMessage,
   isWrappedMessage
 } from './nativeMessagingProtocol'
+import { createBridgeError } from './utils/createBridgeError'
 
 describe('nativeMessagingProtocol', () => {
   describe('wrapMessage', () => {
@@ -55,4 +57,41 @@ describe('nativeMessagingProtocol', () => {
       expect(isWrappedMessage({ message: {} })).toBe(false)
     })
   })
+
+  describe('createErrorResponse', () => {
+    it('should report the catalogue code and whether to retry', () => {
+      const error = createBridgeError('IPC_TIMEOUT', 'timed out', {
+        timeout: { command: 'vaultsList', limit: 10, source: 'fast' }
+      })
+      expect(createErrorResponse('1', error)).toEqual({
+        id: '1',
+        success: false,
+        error: 'timed out',
+        errorCode: 'IPC_TIMEOUT',
+        retryable: true,
+        timeout: { command: 'vaultsList', limit: 10, source: 'fast' }
+      })
+    })
+
+    it('should keep the desktop app error code', () => {
+      const error = createBridgeError('DESKTOP_ERROR', 'Vault is locked', {
+        desktopErrorCode: 'VAULT_LOCKED'
+      })
+      expect(createErrorResponse('2', error)).toMatchObject({
+        errorCode: 'DESKTOP_ERROR',
+        retryable: false,
+        desktopErrorCode: 'VAULT_LOCKED'
+      })
+    })
+
+    it('should report errors without a code as INTERNAL_ERROR', () => {
+      expect(createErrorResponse('3', new Error('boom'))).toEqual({
+        id: '3',
+        success: false,
+        error: 'boom',
+        errorCode: 'INTERNAL_ERROR',
+        retryable: false
+      })
+    })
+  })
 })
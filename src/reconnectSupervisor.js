@@ -0,0 +1,101 @@
+import { TIMEOUTS } from './constants/timeouts.js'
+import { log } from './utils/log.js'
+
+/**
+ * @typedef {Object} ReconnectSupervisorOptions
+ * @property {() => Promise<void>} connect - Performs one connection attempt
+ * @property {import('./nativeMessagingHost.js').Timers} [timers] - Timer functions
+ * @property {number} [initialDelay] - Delay before the first retry in ms
+ * @property {number} [maxDelay] - Upper bound for the backoff delay in ms
+ * @property {() => number} [random] - Random source in [0, 1) used for jitter
+ */
+
+/**
+ * Reconnect Supervisor - retries the desktop app connection in the background
+ * with exponential backoff and jitter while it is active
+ */
+export class ReconnectSupervisor {
+  /**
+   * @param {ReconnectSupervisorOptions} options
+   */
+  constructor({
+    connect,
+    timers = { setTimeout, clearTimeout },
+    initialDelay = TIMEOUTS.RECONNECT_INITIAL_DELAY,
+    maxDelay = TIMEOUTS.RECONNECT_MAX_DELAY,
+    random = Math.random
+  }) {
+    /** @type {() => Promise<void>} */
+    this.connect = connect
+    /** @type {import('./nativeMessagingHost.js').Timers} */
+    this.timers = timers
+    /** @type {number} */
+    this.initialDelay = initialDelay
+    /** @type {number} */
+    this.maxDelay = maxDelay
+    /** @type {() => number} */
+    this.random = random
+    /** @type {number} */
+    this.attempt = 0
+    /** @type {*} */
+    this.timer = null
+    /** @type {boolean} */
+    this.isActive = false
+  }
+
+  start() {
+    this.isActive = true
+  }
+
+  stop() {
+    this.isActive = false
+    this.reset()
+  }
+
+  /**
+   * Forget previous failures and cancel any scheduled retry
+   */
+  reset() {
+    this.attempt = 0
+    if (this.timer !== null) {
+      this.timers.clearTimeout(this.timer)
+      this.timer = null
+    }
+  }
+
+  /**
+   * Backoff delay for the next attempt. Half of the exponential delay is
+   * fixed and the other half is randomised to spread out retries.
+   * @returns {number}
+   */
+  nextDelay() {
+    const delay = Math.min(
+      this.maxDelay,
+      this.initialDelay * Math.pow(2, this.attempt)
+    )
+    return Math.round(delay / 2 + (this.random() * delay) / 2)
+  }
+
+  /**
+   * Schedule a retry unless one is already pending
+   */
+  schedule() {
+    if (!this.isActive || this.timer !== null) {
+      return
+    }
+
+    const delay = this.nextDelay()
+    this.attempt++
+    log('INFO', `Scheduling reconnect attempt ${this.attempt} in ${delay}ms`)
+
+    this.timer = this.timers.setTimeout(() => {
+      this.timer = null
+      if (!this.isActive) {
+        return
+      }
+      this.connect().catch((error) => {
+        log('INFO', `Background reconnect failed: ${error.message}`)
+      })
+    }, delay)
+  }
+}
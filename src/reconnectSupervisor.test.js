@@ -0,0 +1,74 @@
+import { ReconnectSupervisor } from './reconnectSupervisor'
+
+jest.mock('./utils/log', () => ({
+  log: jest.fn()
+}))
+
+describe('ReconnectSupervisor', () => {
+  let connect
+  let supervisor
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+    connect = jest.fn(() => Promise.resolve())
+    supervisor = new ReconnectSupervisor({
+      connect,
+      initialDelay: 100,
+      maxDelay: 1000,
+      random: () => 1
+    })
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+    jest.clearAllMocks()
+  })
+
+  test('does not schedule while inactive', () => {
+    supervisor.schedule()
+    jest.runAllTimers()
+    expect(connect).not.toHaveBeenCalled()
+  })
+
+  test('backs off exponentially up to the max delay', () => {
+    supervisor.start()
+    const delays = []
+    for (let i = 0; i < 6; i++) {
+      delays.push(supervisor.nextDelay())
+      supervisor.attempt++
+    }
+    expect(delays).toEqual([100, 200, 400, 800, 1000, 1000])
+  })
+
+  test('applies jitter to half of the delay', () => {
+    supervisor.random = () => 0
+    expect(supervisor.nextDelay()).toBe(50)
+  })
+
+  test('runs one connection attempt per schedule', () => {
+    supervisor.start()
+    supervisor.schedule()
+    supervisor.schedule()
+    jest.advanceTimersByTime(100)
+    expect(connect).toHaveBeenCalledTimes(1)
+    expect(supervisor.attempt).toBe(1)
+  })
+
+  test('reset clears failures and pending retry', () => {
+    supervisor.start()
+    supervisor.schedule()
+    supervisor.reset()
+    jest.runAllTimers()
+    expect(connect).not.toHaveBeenCalled()
+    expect(supervisor.attempt).toBe(0)
+  })
+
+  test('stop cancels pending retry', () => {
+    supervisor.start()
+    supervisor.schedule()
+    supervisor.stop()
+    jest.runAllTimers()
+    expect(connect).not.toHaveBeenCalled()
+    expect(supervisor.isActive).toBe(false)
+  })
+})
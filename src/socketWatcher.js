@@ -0,0 +1,164 @@
+import EventEmitter from 'events'
+import fs from 'fs'
+import path from 'path'
+
+import { log } from './utils/log.js'
+
+/**
+ * Socket Watcher - watches the IPC socket directory so the host learns when
+ * the desktop app creates or removes its socket. When the directory does not
+ * exist yet, its parent is watched until it is created.
+ *
+ * Emits `available` whenever the socket is (re)created and `removed` when it
+ * disappears.
+ * @extends EventEmitter
+ */
+export class SocketWatcher extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.socketPath - Full path of the IPC socket
+   * @param {typeof fs} [options.fs] - Filesystem module (defaults to fs)
+   */
+  constructor({ socketPath, fs: fsModule = fs }) {
+    super()
+    /** @type {string} */
+    this.socketPath = socketPath
+    /** @type {string} */
+    this.socketDir = path.dirname(socketPath)
+    /** @type {string} */
+    this.socketName = path.basename(socketPath)
+    /** @type {typeof fs} */
+    this.fs = fsModule
+    /** @type {*} */
+    this.watcher = null
+    /** @type {boolean} */
+    this.isWatching = false
+    /** @type {boolean} */
+    this.socketExists = false
+  }
+
+  start() {
+    if (this.isWatching) {
+      return
+    }
+
+    this.isWatching = true
+    this.socketExists = this.fs.existsSync(this.socketPath)
+    this._watch()
+  }
+
+  stop() {
+    this.isWatching = false
+    this._closeWatcher()
+  }
+
+  /**
+   * @private
+   */
+  _watch() {
+    this._closeWatcher()
+
+    if (!this.isWatching) {
+      return
+    }
+
+    if (this.fs.existsSync(this.socketDir)) {
+      this._watchPath(this.socketDir, (filename) => this._onDirEvent(filename))
+      // The socket may have been created before the watcher was attached
+      this._checkSocket()
+      return
+    }
+
+    const parentDir = path.dirname(this.socketDir)
+    const dirName = path.basename(this.socketDir)
+    log('INFO', `IPC socket directory missing, watching ${parentDir}`)
+    this._watchPath(parentDir, (filename) => {
+      if (!filename || filename === dirName) {
+        if (this.fs.existsSync(this.socketDir)) {
+          this._watch()
+        }
+      }
+    })
+  }
+
+  /**
+   * @private
+   * @param {string} target
+   * @param {(filename: string|null) => void} onEvent
+   */
+  _watchPath(target, onEvent) {
+    try {
+      this.watcher = this.fs.watch(target, (_eventType, filename) =>
+        onEvent(filename ? filename.toString() : null)
+      )
+      this.watcher.on('error', (err) => {
+        log('ERROR', `IPC socket watcher error: ${err.message}`)
+        // The watched directory may have been removed; start over
+        this._watch()
+      })
+    } catch (err) {
+      log('ERROR', `Failed to watch ${target}: ${err.message}`)
+      this.isWatching = false
+      this.watcher = null
+    }
+  }
+
+  /**
+   * @private
+   * @param {string|null} filename
+   */
+  _onDirEvent(filename) {
+    if (!this.fs.existsSync(this.socketDir)) {
+      this._setSocketExists(false)
+      this._watch()
+      return
+    }
+
+    if (!filename || filename === this.socketName) {
+      this._checkSocket(true)
+    }
+  }
+
+  /**
+   * @private
+   * @param {boolean} [touched] - Whether an event referenced the socket itself
+   */
+  _checkSocket(touched = false) {
+    const exists = this.fs.existsSync(this.socketPath)
+    if (exists && (touched || !this.socketExists)) {
+      this.socketExists = true
+      log('INFO', 'IPC socket available')
+      this.emit('available')
+      return
+    }
+    this._setSocketExists(exists)
+  }
+
+  /**
+   * @private
+   * @param {boolean} exists
+   */
+  _setSocketExists(exists) {
+    if (this.socketExists && !exists) {
+      this.socketExists = false
+      log('INFO', 'IPC socket removed')
+      this.emit('removed')
+      return
+    }
+    this.socketExists = exists
+  }
+
+  /**
+   * @private
+   */
+  _closeWatcher() {
+    if (this.watcher) {
+      try {
+        this.watcher.close()
+      } catch {
+        // Ignore close errors
+      }
+      this.watcher = null
+    }
+  }
+}
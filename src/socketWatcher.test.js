@@ -0,0 +1,97 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import { SocketWatcher } from './socketWatcher'
+
+jest.mock('./utils/log', () => ({
+  log: jest.fn()
+}))
+
+const waitForEvent = (emitter, event, timeout = 2000) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error(`Timed out waiting for ${event}`)),
+      timeout
+    )
+    emitter.once(event, () => {
+      clearTimeout(timer)
+      resolve()
+    })
+  })
+
+describe('SocketWatcher', () => {
+  let homeDir
+  let socketDir
+  let socketPath
+  let watcher
+
+  beforeEach(() => {
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pearpass-home-'))
+    socketDir = path.join(homeDir, '.pearpass')
+    socketPath = path.join(socketDir, 'pearpass-native-messaging.sock')
+    watcher = new SocketWatcher({ socketPath })
+  })
+
+  afterEach(() => {
+    watcher.stop()
+    fs.rmSync(homeDir, { recursive: true, force: true })
+  })
+
+  test('emits available when the socket is created', async () => {
+    fs.mkdirSync(socketDir)
+    watcher.start()
+    expect(watcher.isWatching).toBe(true)
+    expect(watcher.socketExists).toBe(false)
+
+    const available = waitForEvent(watcher, 'available')
+    fs.writeFileSync(socketPath, '')
+    await available
+    expect(watcher.socketExists).toBe(true)
+  })
+
+  test('emits removed when the socket is deleted', async () => {
+    fs.mkdirSync(socketDir)
+    fs.writeFileSync(socketPath, '')
+    watcher.start()
+    expect(watcher.socketExists).toBe(true)
+
+    const removed = waitForEvent(watcher, 'removed')
+    fs.unlinkSync(socketPath)
+    await removed
+    expect(watcher.socketExists).toBe(false)
+  })
+
+  test('waits for the socket directory to be created', async () => {
+    watcher.start()
+    expect(watcher.isWatching).toBe(true)
+
+    const available = waitForEvent(watcher, 'available')
+    fs.mkdirSync(socketDir)
+    // Give the watcher a moment to switch over to the new directory
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    fs.writeFileSync(socketPath, '')
+    await available
+    expect(watcher.socketExists).toBe(true)
+  })
+
+  test('ignores unrelated files in the socket directory', async () => {
+    fs.mkdirSync(socketDir)
+    watcher.start()
+    const listener = jest.fn()
+    watcher.on('available', listener)
+
+    fs.writeFileSync(path.join(socketDir, 'other.sock'), '')
+    await new Promise((resolve) => setTimeout(resolve, 100))
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  test('stop closes the underlying watcher', () => {
+    fs.mkdirSync(socketDir)
+    watcher.start()
+    expect(watcher.watcher).not.toBeNull()
+    watcher.stop()
+    expect(watcher.watcher).toBeNull()
+    expect(watcher.isWatching).toBe(false)
+  })
+})
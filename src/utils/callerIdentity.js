@@ -0,0 +1,90 @@
+import {
+  ALLOWED_EXTENSIONS,
+  ALLOWED_EXTENSION_IDS_ENV,
+  BROWSER_FAMILIES
+} from '../constants/allowedExtensions.js'
+
+/**
+ * @typedef {Object} CallerIdentity
+ * @property {string} browser - Browser family ('chromium', 'firefox' or 'unknown')
+ * @property {string|null} extensionId - Calling extension ID
+ * @property {string|null} origin - Raw caller argument passed by the browser
+ */
+
+const CHROMIUM_ORIGIN_PATTERN = /^chrome-extension:\/\/([a-p]{32})\/?$/
+
+/**
+ * Parse the caller identity from the arguments the browser launched the host
+ * with. Chromium browsers pass the extension origin
+ * (`chrome-extension://<id>/`, plus `--parent-window=` on Windows); Firefox
+ * passes the path of the host manifest followed by the add-on ID.
+ * @param {string[]} args - Arguments after the script path
+ * @returns {CallerIdentity}
+ */
+export const parseCallerIdentity = (args = []) => {
+  for (const arg of args) {
+    const match = CHROMIUM_ORIGIN_PATTERN.exec(arg)
+    if (match) {
+      return {
+        browser: BROWSER_FAMILIES.CHROMIUM,
+        extensionId: match[1],
+        origin: arg
+      }
+    }
+  }
+
+  const [manifestPath, extensionId] = args
+  if (manifestPath && extensionId && /\.json$/i.test(manifestPath)) {
+    return {
+      browser: BROWSER_FAMILIES.FIREFOX,
+      extensionId,
+      origin: extensionId
+    }
+  }
+
+  return {
+    browser: BROWSER_FAMILIES.UNKNOWN,
+    extensionId: null,
+    origin: args[0] || null
+  }
+}
+
+/**
+ * Build the extension allowlist from the built-in IDs and the environment.
+ * Each ID from the environment is added to the browser family named by its
+ * prefix (`chromium:<id>` or `firefox:<id>`); entries without a known
+ * family are ignored.
+ * @param {Record<string, string|undefined>} [env]
+ * @returns {Record<string, string[]>}
+ */
+export const getAllowedExtensions = (env = {}) => {
+  const allowlist = {
+    [BROWSER_FAMILIES.CHROMIUM]: [
+      ...ALLOWED_EXTENSIONS[BROWSER_FAMILIES.CHROMIUM]
+    ],
+    [BROWSER_FAMILIES.FIREFOX]: [
+      ...ALLOWED_EXTENSIONS[BROWSER_FAMILIES.FIREFOX]
+    ]
+  }
+
+  for (const entry of (env[ALLOWED_EXTENSION_IDS_ENV] || '').split(',')) {
+    const separator = entry.indexOf(':')
+    const browser = entry.slice(0, separator).trim()
+    const extensionId = entry.slice(separator + 1).trim()
+    if (separator > 0 && extensionId && Object.hasOwn(allowlist, browser)) {
+      allowlist[browser].push(extensionId)
+    }
+  }
+
+  return allowlist
+}
+
+/**
+ * Check a caller against an allowlist
+ * @param {CallerIdentity} caller
+ * @param {Record<string, string[]>} allowlist
+ * @returns {boolean}
+ */
+export const isCallerAllowed = (caller, allowlist) =>
+  !!caller.extensionId &&
+  (allowlist[caller.browser] || []).includes(caller.extensionId)
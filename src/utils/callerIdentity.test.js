@@ -0,0 +1,99 @@
+import {
+  getAllowedExtensions,
+  isCallerAllowed,
+  parseCallerIdentity
+} from './callerIdentity'
+
+jest.mock('../constants/allowedExtensions', () => ({
+  ...jest.requireActual('../constants/allowedExtensions'),
+  ALLOWED_EXTENSIONS: {
+    chromium: ['chromestoreid'],
+    firefox: ['pearpass@example.com']
+  }
+}))
+
+describe('parseCallerIdentity', () => {
+  const chromeId = 'abcdefghijklmnopabcdefghijklmnop'
+
+  it('parses the Chromium extension origin', () => {
+    expect(parseCallerIdentity([`chrome-extension://${chromeId}/`])).toEqual({
+      browser: 'chromium',
+      extensionId: chromeId,
+      origin: `chrome-extension://${chromeId}/`
+    })
+  })
+
+  it('ignores the Windows parent window argument', () => {
+    expect(
+      parseCallerIdentity([
+        `chrome-extension://${chromeId}/`,
+        '--parent-window=0'
+      ]).extensionId
+    ).toBe(chromeId)
+  })
+
+  it('parses the Firefox manifest path and add-on ID', () => {
+    expect(
+      parseCallerIdentity([
+        '/home/user/.mozilla/native-messaging-hosts/com.pearpass.json',
+        'pearpass@example.com'
+      ])
+    ).toEqual({
+      browser: 'firefox',
+      extensionId: 'pearpass@example.com',
+      origin: 'pearpass@example.com'
+    })
+  })
+
+  it('reports unknown callers', () => {
+    expect(parseCallerIdentity([])).toEqual({
+      browser: 'unknown',
+      extensionId: null,
+      origin: null
+    })
+    expect(parseCallerIdentity(['chrome-extension://bad/']).browser).toBe(
+      'unknown'
+    )
+  })
+})
+
+describe('getAllowedExtensions', () => {
+  it('adds IDs from the environment to the browser family they name', () => {
+    expect(
+      getAllowedExtensions({
+        PEARPASS_ALLOWED_EXTENSION_IDS:
+          ' chromium:dev1 , firefox: dev@example.com,chromium:dev2,'
+      })
+    ).toEqual({
+      chromium: ['chromestoreid', 'dev1', 'dev2'],
+      firefox: ['pearpass@example.com', 'dev@example.com']
+    })
+  })
+
+  it('ignores IDs without a known browser family', () => {
+    expect(
+      getAllowedExtensions({
+        PEARPASS_ALLOWED_EXTENSION_IDS: 'dev1,safari:dev2,chromium:,:dev3'
+      })
+    ).toEqual({
+      chromium: ['chromestoreid'],
+      firefox: ['pearpass@example.com']
+    })
+  })
+})
+
+describe('isCallerAllowed', () => {
+  const allowlist = { chromium: ['good'], firefox: [] }
+
+  it('matches the extension ID within its browser family', () => {
+    expect(
+      isCallerAllowed({ browser: 'chromium', extensionId: 'good' }, allowlist)
+    ).toBe(true)
+    expect(
+      isCallerAllowed({ browser: 'firefox', extensionId: 'good' }, allowlist)
+    ).toBe(false)
+    expect(
+      isCallerAllowed({ browser: 'unknown', extensionId: null }, allowlist)
+    ).toBe(false)
+  })
+})
@@ -0,0 +1,10 @@
+/**
+ * Create an error carrying a catalogue code from ERROR_CODES (or a
+ * DESKTOP_APP_STATUS) as `errorCode`
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {Object} [details] - Extra properties, e.g. `field`, `timeout` or `desktopErrorCode`
+ * @returns {Error & {errorCode: string}}
+ */
+export const createBridgeError = (code, message, details = {}) =>
+  Object.assign(new Error(message), details, { errorCode: code })
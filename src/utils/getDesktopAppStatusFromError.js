@@ -0,0 +1,64 @@
+import { DESKTOP_APP_STATUS } from '../constants/desktopAppStatus.js'
+
+// Low-level error codes with an unambiguous desktop app status
+const ERROR_CODE_STATUS = Object.freeze({
+  ENOENT: DESKTOP_APP_STATUS.NOT_RUNNING,
+  ECONNREFUSED: DESKTOP_APP_STATUS.STALE_SOCKET,
+  EACCES: DESKTOP_APP_STATUS.PERMISSION_DENIED,
+  EPERM: DESKTOP_APP_STATUS.PERMISSION_DENIED,
+  ETIMEDOUT: DESKTOP_APP_STATUS.TIMED_OUT,
+  EBUSY: DESKTOP_APP_STATUS.BUSY,
+  EAGAIN: DESKTOP_APP_STATUS.BUSY
+})
+
+const TIMEOUT_PATTERN = /timed out|in time/i
+const INCOMPATIBLE_PATTERN = /\b(version|incompatible)\b|illegal method/i
+
+/**
+ * Returns the low-level code of a connection error, taken from `error.code`
+ * or from an errno-style code embedded in the message.
+ * @param {Error & {code?: string}} error
+ * @returns {string|null}
+ */
+export const getConnectionErrorCode = (error) => {
+  if (error?.code && ERROR_CODE_STATUS[error.code]) {
+    return error.code
+  }
+
+  const message = error?.message || ''
+  return (
+    Object.keys(ERROR_CODE_STATUS).find((code) => message.includes(code)) ||
+    null
+  )
+}
+
+/**
+ * Maps a connection error to a desktop app status.
+ * Timeouts without a socket file are reported as integration disabled, since
+ * the app only creates its socket while the integration is enabled.
+ * @param {Error & {code?: string}} error
+ * @param {Object} [context]
+ * @param {boolean|null} [context.socketExists] - Whether the socket file exists (null if unknown)
+ * @returns {string}
+ */
+export const getDesktopAppStatusFromError = (
+  error,
+  { socketExists = null } = {}
+) => {
+  const code = getConnectionErrorCode(error)
+  if (code) {
+    return ERROR_CODE_STATUS[code]
+  }
+
+  const message = error?.message || ''
+
+  if (INCOMPATIBLE_PATTERN.test(message)) {
+    return DESKTOP_APP_STATUS.INCOMPATIBLE_VERSION
+  }
+
+  if (TIMEOUT_PATTERN.test(message) && socketExists !== false) {
+    return DESKTOP_APP_STATUS.TIMED_OUT
+  }
+
+  return DESKTOP_APP_STATUS.INTEGRATION_DISABLED
+}
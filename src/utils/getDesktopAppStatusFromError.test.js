@@ -0,0 +1,63 @@
+import {
+  getConnectionErrorCode,
+  getDesktopAppStatusFromError
+} from './getDesktopAppStatusFromError'
+import { DESKTOP_APP_STATUS } from '../constants/desktopAppStatus'
+
+const errorWithCode = (message, code) =>
+  Object.assign(new Error(message), { code })
+
+describe('getDesktopAppStatusFromError', () => {
+  it.each([
+    ['connect ENOENT /sock', DESKTOP_APP_STATUS.NOT_RUNNING],
+    ['connect ECONNREFUSED /sock', DESKTOP_APP_STATUS.STALE_SOCKET],
+    ['connect EACCES /sock', DESKTOP_APP_STATUS.PERMISSION_DENIED],
+    ['connect EPERM /sock', DESKTOP_APP_STATUS.PERMISSION_DENIED],
+    ['resource EBUSY', DESKTOP_APP_STATUS.BUSY],
+    ['Illegal Method: foo', DESKTOP_APP_STATUS.INCOMPATIBLE_VERSION],
+    ['Unsupported protocol version 3', DESKTOP_APP_STATUS.INCOMPATIBLE_VERSION],
+    ['Something else', DESKTOP_APP_STATUS.INTEGRATION_DISABLED],
+    ['Buffer conversion failed', DESKTOP_APP_STATUS.INTEGRATION_DISABLED],
+    ['Reversion of state', DESKTOP_APP_STATUS.INTEGRATION_DISABLED]
+  ])('maps "%s" to %s', (message, status) => {
+    expect(getDesktopAppStatusFromError(new Error(message))).toBe(status)
+  })
+
+  it('prefers error.code over the message', () => {
+    const error = errorWithCode('socket failure', 'ECONNREFUSED')
+    expect(getDesktopAppStatusFromError(error)).toBe(
+      DESKTOP_APP_STATUS.STALE_SOCKET
+    )
+  })
+
+  it('reports timeouts as timed out when the socket exists', () => {
+    const error = new Error('Connection timed out')
+    expect(getDesktopAppStatusFromError(error, { socketExists: true })).toBe(
+      DESKTOP_APP_STATUS.TIMED_OUT
+    )
+    expect(getDesktopAppStatusFromError(error)).toBe(
+      DESKTOP_APP_STATUS.TIMED_OUT
+    )
+  })
+
+  it('reports timeouts without a socket as integration disabled', () => {
+    const error = new Error('Could not connect in time')
+    expect(getDesktopAppStatusFromError(error, { socketExists: false })).toBe(
+      DESKTOP_APP_STATUS.INTEGRATION_DISABLED
+    )
+  })
+})
+
+describe('getConnectionErrorCode', () => {
+  it('returns the code from error.code or the message', () => {
+    expect(getConnectionErrorCode(errorWithCode('x', 'EACCES'))).toBe('EACCES')
+    expect(getConnectionErrorCode(new Error('connect ENOENT /sock'))).toBe(
+      'ENOENT'
+    )
+  })
+
+  it('returns null for errors without a known code', () => {
+    expect(getConnectionErrorCode(new Error('Connection timed out'))).toBeNull()
+    expect(getConnectionErrorCode(errorWithCode('x', 'EOTHER'))).toBeNull()
+  })
+})
@@ -2,29 +2,254 @@ import fs from 'fs'
 import os from 'os'
 import path from 'path'
 
-import { DEBUG_MODE } from '../constants/debugMode.js'
+import {
+  DEFAULT_LOG_CONFIG,
+  LOG_CONFIG_FILE_NAME,
+  LOG_DESTINATIONS,
+  LOG_ENV_VARS,
+  LOG_LEVELS
+} from '../constants/logging.js'
+import { LogFileWriter } from './logFileWriter.js'
 
 /**
- * Dedicated logger for native messaging bridge
- * Logs to the logs directory within the bridge module directory when in debug mode
+ * @typedef {Object} LogConfig
+ * @property {string} level - One of LOG_LEVELS; messages above it are dropped
+ * @property {string} destination - One of LOG_DESTINATIONS
+ * @property {string} file - Log file path, used for the `file` destination
+ * @property {number} maxSize - Bytes before the log file is rotated
+ * @property {number} maxFiles - Rotated log files kept
+ * @property {boolean} compress - Whether rotated log files are gzipped
+ */
+
+// Verbosity of each level; a message is written if its level is at or below
+// the configured one
+const LEVEL_ORDER = Object.values(LOG_LEVELS)
+
+/** @type {LogConfig|null} */
+let config = null
+
+/** @type {LogFileWriter|null} */
+let writer = null
+
+/**
+ * Settings the current writer was created with
+ * @type {{file: string, maxSize: number, maxFiles: number, compress: boolean}|null}
+ */
+let writerSettings = null
+
+/**
+ * @returns {string}
+ */
+const getPearpassDir = () => path.join(os.homedir(), '.pearpass')
+
+/**
+ * @param {*} value
+ * @returns {string|undefined} The matching LOG_LEVELS value
+ */
+const parseLevel = (value) => {
+  const level = typeof value === 'string' ? value.toUpperCase() : undefined
+  return LEVEL_ORDER.includes(level) ? level : undefined
+}
+
+/**
+ * @param {*} value
+ * @returns {string|undefined} The matching LOG_DESTINATIONS value
+ */
+const parseDestination = (value) =>
+  Object.values(LOG_DESTINATIONS).includes(value) ? value : undefined
+
+/**
+ * @param {*} value - A number, or a string of digits from the environment
+ * @param {number} min
+ * @returns {number|undefined}
+ */
+const parseCount = (value, min) => {
+  const count =
+    typeof value === 'string' && value !== '' ? Number(value) : value
+  return Number.isInteger(count) && count >= min ? count : undefined
+}
+
+/**
+ * @param {*} value - A boolean, or `true`/`false`/`1`/`0` from the environment
+ * @returns {boolean|undefined}
+ */
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value
+  if (value === 'true' || value === '1') return true
+  if (value === 'false' || value === '0') return false
+  return undefined
+}
+
+/**
+ * @param {...*} values - Candidates, most important first
+ * @returns {*} The first one that is not undefined
+ */
+const firstDefined = (...values) => values.find((value) => value !== undefined)
+
+/**
+ * Read the config file in ~/.pearpass. A missing file is not an error.
+ * @returns {Object}
+ */
+const readConfigFile = () => {
+  const configFile = path.join(getPearpassDir(), LOG_CONFIG_FILE_NAME)
+
+  try {
+    if (!fs.existsSync(configFile)) {
+      return {}
+    }
+    const settings = JSON.parse(fs.readFileSync(configFile, 'utf8'))
+    return settings && typeof settings === 'object' ? settings : {}
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error(`Failed to read log config ${configFile}: ${e.message}`)
+    return {}
+  }
+}
+
+/**
+ * Load the logging config from the config file in ~/.pearpass and the
+ * environment, which takes precedence. Invalid values are ignored.
+ * @param {Object} [options]
+ * @param {Record<string, string|undefined>} [options.env] - Environment to read (defaults to process.env)
+ * @returns {LogConfig}
+ */
+export const loadLogConfig = ({ env = process.env } = {}) => {
+  const settings = readConfigFile()
+
+  config = {
+    level:
+      parseLevel(env[LOG_ENV_VARS.LEVEL]) ||
+      parseLevel(settings.logLevel) ||
+      DEFAULT_LOG_CONFIG.level,
+    destination:
+      parseDestination(env[LOG_ENV_VARS.DESTINATION]) ||
+      parseDestination(settings.logDestination) ||
+      DEFAULT_LOG_CONFIG.destination,
+    file:
+      env[LOG_ENV_VARS.FILE] ||
+      (typeof settings.logFile === 'string' && settings.logFile) ||
+      path.join(getPearpassDir(), 'logs', 'native-messaging-bridge.log'),
+    maxSize: firstDefined(
+      parseCount(env[LOG_ENV_VARS.MAX_SIZE], 1),
+      parseCount(settings.logMaxSize, 1),
+      DEFAULT_LOG_CONFIG.maxSize
+    ),
+    maxFiles: firstDefined(
+      parseCount(env[LOG_ENV_VARS.MAX_FILES], 0),
+      parseCount(settings.logMaxFiles, 0),
+      DEFAULT_LOG_CONFIG.maxFiles
+    ),
+    compress: firstDefined(
+      parseBoolean(env[LOG_ENV_VARS.COMPRESS]),
+      parseBoolean(settings.logCompress),
+      DEFAULT_LOG_CONFIG.compress
+    )
+  }
+  return { ...config }
+}
+
+/**
+ * Get the current logging config, loading it on first use
+ * @returns {LogConfig}
+ */
+export const getLogConfig = () => ({ ...(config || loadLogConfig()) })
+
+/**
+ * Change the logging config at runtime. Omitted or invalid fields are left
+ * unchanged.
+ * @param {Object} changes
+ * @param {string} [changes.level] - One of LOG_LEVELS, case-insensitive
+ * @param {string} [changes.destination] - One of LOG_DESTINATIONS
+ * @param {string} [changes.file]
+ * @param {number} [changes.maxSize]
+ * @param {number} [changes.maxFiles]
+ * @param {boolean} [changes.compress]
+ * @returns {LogConfig} The updated config
+ */
+export const configureLogging = ({
+  level,
+  destination,
+  file,
+  maxSize,
+  maxFiles,
+  compress
+} = {}) => {
+  const current = config || loadLogConfig()
+
+  config = {
+    level: parseLevel(level) || current.level,
+    destination: parseDestination(destination) || current.destination,
+    file: typeof file === 'string' && file ? file : current.file,
+    maxSize: firstDefined(parseCount(maxSize, 1), current.maxSize),
+    maxFiles: firstDefined(parseCount(maxFiles, 0), current.maxFiles),
+    compress: firstDefined(parseBoolean(compress), current.compress)
+  }
+  return { ...config }
+}
+
+/**
+ * Check if messages of a level are written under the current config
+ * @param {string} level
+ * @returns {boolean}
+ */
+export const isLogLevelEnabled = (level) => {
+  const index = LEVEL_ORDER.indexOf(level)
+  return (
+    index > 0 && index <= LEVEL_ORDER.indexOf((config || loadLogConfig()).level)
+  )
+}
+
+/**
+ * Get the writer for the configured log file, replacing it when the file or
+ * rotation settings changed. A replaced writer still finishes its queue
+ * before the new one writes, and flushing the new one waits for both.
+ * @returns {LogFileWriter}
+ */
+const getWriter = () => {
+  const { file, maxSize, maxFiles, compress } = config
+  const settings = { file, maxSize, maxFiles, compress }
+
+  if (
+    !writer ||
+    Object.keys(settings).some((key) => settings[key] !== writerSettings[key])
+  ) {
+    writer = new LogFileWriter({
+      ...settings,
+      previous: writer ? writer.flush() : null
+    })
+    writerSettings = settings
+  }
+  return writer
+}
+
+/**
+ * Wait until queued log lines have been written to the log file, including
+ * lines queued before a config change, e.g. before the process exits
+ * @returns {Promise<void>}
+ */
+export const flushLogs = () => (writer ? writer.flush() : Promise.resolve())
+
+/**
+ * Dedicated logger for native messaging bridge. Writes messages at or below
+ * the configured level to the configured destination; logging is off unless
+ * enabled through the environment, the config file or `configureLogging`.
+ * File writes are queued and happen asynchronously, see LogFileWriter.
  * @param {'INFO'|'ERROR'|'DEBUG'|'WARN'} level - Log level
  * @param {string} message - Log message
  */
 export const log = (level, message) => {
-  if (!DEBUG_MODE) return
+  if (!isLogLevelEnabled(level)) return
 
   try {
-    const logDir = path.join(os.homedir(), '.pearpass', 'logs')
-    const logFile = path.join(logDir, 'native-messaging-bridge.log')
+    const timestamp = new Date().toISOString()
+    const logMsg = `${timestamp} [${level}] [IPC-BRIDGE] ${message}\n`
 
-    // Create logs directory if it doesn't exist
-    if (!fs.existsSync(logDir)) {
-      fs.mkdirSync(logDir, { recursive: true })
+    if (config.destination === LOG_DESTINATIONS.STDERR) {
+      process.stderr.write(logMsg)
+      return
     }
 
-    const timestamp = new Date().toISOString()
-    const logMsg = `${timestamp} [${level}] [IPC-BRIDGE] ${message}\n`
-    fs.appendFileSync(logFile, logMsg)
+    getWriter().write(logMsg)
   } catch (e) {
     // eslint-disable-next-line no-console
     console.error(`Failed to write log: ${e.message}`)
@@ -1,67 +1,235 @@
 import fs from 'fs'
 import os from 'os'
-import path from 'path'
 
 jest.mock('fs')
 jest.mock('os')
-jest.mock('path')
-
-// We need to control DEBUG_MODE per test
-let mockDebugMode = false
-jest.mock('../constants/debugMode', () => ({
-  get DEBUG_MODE() {
-    return mockDebugMode
-  }
-}))
-
-// Import log after mocking is set up
-import { log } from './log'
+jest.mock('./logFileWriter')
 
 describe('log', () => {
+  // The logger keeps its config and writer in module state, so each test
+  // gets a fresh copy of the module
+  let logger
+  let LogFileWriter
   const HOME_DIR = '/home/testuser'
-  const expectedLogDir = `${HOME_DIR}/.pearpass/logs`
-  const expectedLogFile = `${expectedLogDir}/native-messaging-bridge.log`
+  const expectedLogFile = `${HOME_DIR}/.pearpass/logs/native-messaging-bridge.log`
+  const expectedConfigFile = `${HOME_DIR}/.pearpass/native-messaging-bridge.json`
+  const rotation = { maxSize: 5242880, maxFiles: 3, compress: false }
+
+  // Lines handed to the log file writer
+  const writtenLines = () =>
+    LogFileWriter.mock.instances.flatMap((writer) =>
+      writer.write.mock.calls.map(([line]) => line)
+    )
+
+  // Serve the config file with the given settings, or as missing
+  const mockConfigFile = (settings) => {
+    fs.existsSync.mockImplementation(
+      (file) => file === expectedConfigFile && settings !== undefined
+    )
+    fs.readFileSync.mockReturnValue(JSON.stringify(settings))
+  }
 
   beforeEach(() => {
     jest.clearAllMocks()
-    mockDebugMode = false
     os.homedir.mockReturnValue(HOME_DIR)
-    path.join.mockImplementation((...args) => args.join('/'))
+    mockConfigFile(undefined)
+    jest.isolateModules(() => {
+      logger = require('./log')
+      LogFileWriter = require('./logFileWriter').LogFileWriter
+    })
+    logger.loadLogConfig({ env: {} })
+  })
+
+  it('does nothing by default', () => {
+    logger.log('ERROR', 'Test message')
+    expect(LogFileWriter).not.toHaveBeenCalled()
+  })
+
+  it('writes log when the level is enabled', () => {
+    logger.configureLogging({ level: 'DEBUG' })
+
+    logger.log('DEBUG', 'Debug message test')
+
+    expect(LogFileWriter).toHaveBeenCalledWith({
+      file: expectedLogFile,
+      ...rotation,
+      previous: null
+    })
+    expect(writtenLines()).toEqual([
+      expect.stringMatching(
+        /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}.\d{3}Z \[DEBUG\] \[IPC-BRIDGE\] Debug message test\n$/
+      )
+    ])
+  })
+
+  it('reuses the writer until the file or rotation settings change', () => {
+    logger.configureLogging({ level: 'INFO' })
+
+    logger.log('INFO', 'One')
+    logger.log('INFO', 'Two')
+    logger.configureLogging({ level: 'DEBUG' })
+    logger.log('INFO', 'Three')
+    expect(LogFileWriter).toHaveBeenCalledTimes(1)
+
+    logger.configureLogging({ maxFiles: 5, compress: true })
+    logger.log('INFO', 'Four')
+    expect(LogFileWriter).toHaveBeenCalledTimes(2)
+    expect(LogFileWriter).toHaveBeenLastCalledWith({
+      file: expectedLogFile,
+      maxSize: 5242880,
+      maxFiles: 5,
+      compress: true
+    })
+  })
+
+  it('hands a replaced writer to the new one so its lines are flushed', async () => {
+    logger.configureLogging({ level: 'INFO' })
+    logger.log('INFO', 'Old file')
+    const [previous] = LogFileWriter.mock.instances
+    const flushed = Promise.resolve()
+    previous.flush.mockReturnValue(flushed)
+
+    logger.configureLogging({ file: '/tmp/other.log' })
+    logger.log('INFO', 'New file')
+
+    expect(LogFileWriter).toHaveBeenLastCalledWith({
+      file: '/tmp/other.log',
+      ...rotation,
+      previous: flushed
+    })
+    await logger.flushLogs()
+    expect(LogFileWriter.mock.instances[1].flush).toHaveBeenCalled()
   })
 
-  it('does nothing when DEBUG_MODE is false', () => {
-    log('INFO', 'Test message')
-    expect(fs.existsSync).not.toHaveBeenCalled()
-    expect(fs.mkdirSync).not.toHaveBeenCalled()
-    expect(fs.appendFileSync).not.toHaveBeenCalled()
+  it('flushLogs waits for the writer', async () => {
+    logger.configureLogging({ level: 'INFO' })
+    logger.log('INFO', 'Pending')
+
+    await logger.flushLogs()
+
+    expect(LogFileWriter.mock.instances[0].flush).toHaveBeenCalled()
+  })
+
+  it('drops messages more verbose than the level', () => {
+    logger.configureLogging({ level: 'WARN' })
+
+    logger.log('INFO', 'Dropped')
+    logger.log('DEBUG', 'Dropped')
+    logger.log('WARN', 'Kept')
+    logger.log('ERROR', 'Kept')
+
+    expect(writtenLines()).toHaveLength(2)
+    expect(logger.isLogLevelEnabled('WARN')).toBe(true)
+    expect(logger.isLogLevelEnabled('INFO')).toBe(false)
+    expect(logger.isLogLevelEnabled('OFF')).toBe(false)
+  })
+
+  it('writes to stderr when configured', () => {
+    const write = jest
+      .spyOn(process.stderr, 'write')
+      .mockImplementation(() => true)
+    logger.configureLogging({ level: 'INFO', destination: 'stderr' })
+
+    logger.log('INFO', 'To stderr')
+
+    expect(write).toHaveBeenCalledWith(
+      expect.stringContaining('[INFO] [IPC-BRIDGE] To stderr\n')
+    )
+    expect(LogFileWriter).not.toHaveBeenCalled()
+    write.mockRestore()
+  })
+
+  it('reads the config file in ~/.pearpass', () => {
+    mockConfigFile({
+      logLevel: 'info',
+      logDestination: 'stderr',
+      logFile: '/var/log/bridge.log',
+      logMaxSize: 1048576,
+      logMaxFiles: 0,
+      logCompress: true
+    })
+
+    expect(logger.loadLogConfig({ env: {} })).toEqual({
+      level: 'INFO',
+      destination: 'stderr',
+      file: '/var/log/bridge.log',
+      maxSize: 1048576,
+      maxFiles: 0,
+      compress: true
+    })
+    expect(fs.readFileSync).toHaveBeenCalledWith(expectedConfigFile, 'utf8')
   })
 
-  it('writes log when DEBUG_MODE is true', () => {
-    mockDebugMode = true
-    fs.existsSync.mockReturnValue(false)
+  it('lets the environment override the config file', () => {
+    mockConfigFile({ logLevel: 'ERROR', logDestination: 'stderr' })
 
-    log('DEBUG', 'Debug message test')
+    expect(
+      logger.loadLogConfig({
+        env: {
+          PEARPASS_BRIDGE_LOG_LEVEL: 'debug',
+          PEARPASS_BRIDGE_LOG_DESTINATION: 'file',
+          PEARPASS_BRIDGE_LOG_FILE: '/tmp/bridge.log',
+          PEARPASS_BRIDGE_LOG_MAX_SIZE: '65536',
+          PEARPASS_BRIDGE_LOG_MAX_FILES: '10',
+          PEARPASS_BRIDGE_LOG_COMPRESS: '1'
+        }
+      })
+    ).toEqual({
+      level: 'DEBUG',
+      destination: 'file',
+      file: '/tmp/bridge.log',
+      maxSize: 65536,
+      maxFiles: 10,
+      compress: true
+    })
+  })
+
+  it('ignores invalid settings and an unreadable config file', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    fs.existsSync.mockReturnValue(true)
+    fs.readFileSync.mockReturnValue('{not json')
 
-    expect(fs.existsSync).toHaveBeenCalledWith(expectedLogDir)
-    expect(fs.mkdirSync).toHaveBeenCalledWith(expectedLogDir, {
-      recursive: true
+    expect(
+      logger.loadLogConfig({
+        env: {
+          PEARPASS_BRIDGE_LOG_LEVEL: 'verbose',
+          PEARPASS_BRIDGE_LOG_MAX_SIZE: '0',
+          PEARPASS_BRIDGE_LOG_MAX_FILES: 'many',
+          PEARPASS_BRIDGE_LOG_COMPRESS: 'yes'
+        }
+      })
+    ).toEqual({
+      level: 'OFF',
+      destination: 'file',
+      file: expectedLogFile,
+      ...rotation
     })
-    expect(fs.appendFileSync).toHaveBeenCalled()
-    const logArgs = fs.appendFileSync.mock.calls[0]
-    expect(logArgs[0]).toBe(expectedLogFile)
-    expect(logArgs[1]).toMatch(
-      /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}.\d{3}Z \[DEBUG\] \[IPC-BRIDGE\] Debug message test\n/
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining(`Failed to read log config ${expectedConfigFile}`)
     )
+    console.error.mockRestore()
+  })
+
+  it('configureLogging keeps fields it is not given', () => {
+    logger.configureLogging({ level: 'info' })
+
+    expect(logger.configureLogging({ destination: 'syslog' })).toEqual({
+      level: 'INFO',
+      destination: 'file',
+      file: expectedLogFile,
+      ...rotation
+    })
+    expect(logger.getLogConfig().level).toBe('INFO')
   })
 
   it('handles errors gracefully', () => {
-    mockDebugMode = true
+    logger.configureLogging({ level: 'WARN' })
     jest.spyOn(console, 'error').mockImplementation(() => {})
-    fs.existsSync.mockImplementation(() => {
+    LogFileWriter.mockImplementationOnce(() => {
       throw new Error('fs error')
     })
 
-    log('WARN', 'Error test')
+    logger.log('WARN', 'Error test')
 
     expect(console.error).toHaveBeenCalledWith(
       expect.stringContaining('Failed to write log: fs error')
@@ -0,0 +1,239 @@
+import fs from 'fs'
+import path from 'path'
+import stream from 'stream'
+import zlib from 'zlib'
+
+import { DEFAULT_LOG_CONFIG, LOG_BUFFER_LIMIT } from '../constants/logging.js'
+
+/**
+ * @param {Error & {code?: string}} error
+ * @returns {boolean}
+ */
+const isNotFound = (error) => error.code === 'ENOENT'
+
+/**
+ * @param {string} file
+ * @returns {Promise<number>} Size in bytes, 0 if the file does not exist
+ */
+const getFileSize = async (file) => {
+  try {
+    return (await fs.promises.stat(file)).size
+  } catch (error) {
+    if (isNotFound(error)) return 0
+    throw error
+  }
+}
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @returns {Promise<void>}
+ */
+const renameIfExists = async (from, to) => {
+  try {
+    await fs.promises.rename(from, to)
+  } catch (error) {
+    if (!isNotFound(error)) throw error
+  }
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<void>}
+ */
+const removeIfExists = async (file) => {
+  try {
+    await fs.promises.unlink(file)
+  } catch (error) {
+    if (!isNotFound(error)) throw error
+  }
+}
+
+/**
+ * Gzip a file into another without loading it into memory
+ * @param {string} from
+ * @param {string} to
+ * @returns {Promise<void>}
+ */
+const gzipFile = (from, to) =>
+  new Promise((resolve, reject) => {
+    stream.pipeline(
+      fs.createReadStream(from),
+      zlib.createGzip(),
+      fs.createWriteStream(to),
+      (error) => (error ? reject(error) : resolve())
+    )
+  })
+
+/**
+ * Log File Writer - appends log lines to a file without blocking the caller.
+ * Lines are buffered and written in batches, one write at a time. When the
+ * file would grow past maxSize it is rotated: `file` becomes `file.1`
+ * (`file.1.gz` when compressing), older files shift up by one and files
+ * past maxFiles are removed.
+ */
+export class LogFileWriter {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Path of the log file
+   * @param {number} [options.maxSize] - Bytes before the file is rotated
+   * @param {number} [options.maxFiles] - Rotated files kept; 0 keeps none
+   * @param {boolean} [options.compress] - Gzip rotated files
+   * @param {number} [options.bufferLimit] - Bytes buffered while a write is in progress
+   * @param {Promise<void>|null} [options.previous] - Flush of the writer this one replaces; nothing is written before it settles
+   */
+  constructor({
+    file,
+    maxSize = DEFAULT_LOG_CONFIG.maxSize,
+    maxFiles = DEFAULT_LOG_CONFIG.maxFiles,
+    compress = DEFAULT_LOG_CONFIG.compress,
+    bufferLimit = LOG_BUFFER_LIMIT,
+    previous = null
+  }) {
+    /** @type {string} */
+    this.file = file
+    /** @type {number} */
+    this.maxSize = maxSize
+    /** @type {number} */
+    this.maxFiles = maxFiles
+    /** @type {boolean} */
+    this.compress = compress
+    /** @type {number} */
+    this.bufferLimit = bufferLimit
+    /** @type {string[]} */
+    this.buffer = []
+    /** @type {number} */
+    this.bufferSize = 0
+    /** @type {number} */
+    this.droppedLines = 0
+    /**
+     * Current file size, or null until the file has been checked
+     * @type {number|null}
+     */
+    this.size = null
+    /** @type {Promise<void>|null} */
+    this.writing = null
+    /** @type {Promise<void>|null} */
+    this.previous = previous
+  }
+
+  /**
+   * Queue a line for writing. Lines past the buffer limit are dropped and
+   * reported in the file once the writer catches up.
+   * @param {string} line - Line including its trailing newline
+   */
+  write(line) {
+    if (this.bufferSize + line.length > this.bufferLimit) {
+      this.droppedLines++
+      return
+    }
+
+    this.buffer.push(line)
+    this.bufferSize += line.length
+
+    if (!this.writing) {
+      this.writing = this._drain().finally(() => {
+        this.writing = null
+      })
+    }
+  }
+
+  /**
+   * Wait until every queued line has been written, including those of the
+   * writer this one replaced
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.previous
+    while (this.writing) {
+      await this.writing
+    }
+  }
+
+  /**
+   * Write batches until the buffer is empty. Write errors are reported on
+   * stderr and the batch is dropped; logging never fails the caller.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _drain() {
+    // Let the replaced writer finish, and lines logged in the same tick
+    // join the first batch
+    await this.previous
+
+    while (this.buffer.length > 0) {
+      if (this.droppedLines > 0) {
+        this.buffer.push(
+          `${new Date().toISOString()} [WARN] [IPC-BRIDGE] Dropped ${this.droppedLines} log lines while writing was behind\n`
+        )
+        this.droppedLines = 0
+      }
+
+      const data = Buffer.from(this.buffer.join(''))
+      this.buffer = []
+      this.bufferSize = 0
+
+      try {
+        await this._append(data)
+      } catch (e) {
+        this.size = null
+        // eslint-disable-next-line no-console
+        console.error(`Failed to write log: ${e.message}`)
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {Buffer} data
+   * @returns {Promise<void>}
+   */
+  async _append(data) {
+    if (this.size === null) {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true })
+      this.size = await getFileSize(this.file)
+    }
+
+    if (this.size > 0 && this.size + data.length > this.maxSize) {
+      await this._rotate()
+      this.size = 0
+    }
+
+    await fs.promises.appendFile(this.file, data)
+    this.size += data.length
+  }
+
+  /**
+   * Shift `file.N` to `file.N+1`, dropping the oldest, and move the current
+   * file to `file.1`. Both plain and gzipped files are shifted, so turning
+   * compression on or off keeps the history.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _rotate() {
+    if (this.maxFiles === 0) {
+      await removeIfExists(this.file)
+      return
+    }
+
+    const rotated = (index, extension = '') =>
+      `${this.file}.${index}${extension}`
+
+    for (const extension of ['', '.gz']) {
+      await removeIfExists(rotated(this.maxFiles, extension))
+      for (let index = this.maxFiles - 1; index >= 1; index--) {
+        await renameIfExists(
+          rotated(index, extension),
+          rotated(index + 1, extension)
+        )
+      }
+    }
+
+    await fs.promises.rename(this.file, rotated(1))
+
+    if (this.compress) {
+      await gzipFile(rotated(1), rotated(1, '.gz'))
+      await fs.promises.unlink(rotated(1))
+    }
+  }
+}
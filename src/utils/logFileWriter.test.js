@@ -0,0 +1,154 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import zlib from 'zlib'
+
+import { LogFileWriter } from './logFileWriter'
+
+describe('LogFileWriter', () => {
+  let logDir
+  let file
+
+  const line = (text, size = 10) => `${text.padEnd(size - 1, '.')}\n`
+  const read = (name) => fs.readFileSync(path.join(logDir, name), 'utf8')
+  const listFiles = () => fs.readdirSync(logDir).sort()
+
+  beforeEach(() => {
+    logDir = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'pearpass-logs-')),
+      'logs'
+    )
+    file = path.join(logDir, 'bridge.log')
+  })
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(logDir), { recursive: true, force: true })
+  })
+
+  test('writes asynchronously, batching lines from the same tick', async () => {
+    const writer = new LogFileWriter({ file })
+    const appendFile = jest.spyOn(fs.promises, 'appendFile')
+
+    writer.write(line('a'))
+    writer.write(line('b'))
+    expect(fs.existsSync(file)).toBe(false)
+
+    await writer.flush()
+
+    expect(read('bridge.log')).toBe(line('a') + line('b'))
+    expect(appendFile).toHaveBeenCalledTimes(1)
+    appendFile.mockRestore()
+  })
+
+  test('rotates before the file would grow past maxSize', async () => {
+    const writer = new LogFileWriter({ file, maxSize: 25, maxFiles: 2 })
+
+    for (const text of ['1', '2', '3', '4', '5', '6', '7']) {
+      writer.write(line(text))
+      await writer.flush()
+    }
+
+    expect(listFiles()).toEqual(['bridge.log', 'bridge.log.1', 'bridge.log.2'])
+    expect(read('bridge.log')).toBe(line('7'))
+    expect(read('bridge.log.1')).toBe(line('5') + line('6'))
+    expect(read('bridge.log.2')).toBe(line('3') + line('4'))
+  })
+
+  test('counts an existing file towards maxSize', async () => {
+    fs.mkdirSync(logDir, { recursive: true })
+    fs.writeFileSync(file, line('old', 20))
+    const writer = new LogFileWriter({ file, maxSize: 25 })
+
+    writer.write(line('new'))
+    await writer.flush()
+
+    expect(read('bridge.log')).toBe(line('new'))
+    expect(read('bridge.log.1')).toBe(line('old', 20))
+  })
+
+  test('gzips rotated files when compress is set', async () => {
+    const writer = new LogFileWriter({
+      file,
+      maxSize: 15,
+      maxFiles: 2,
+      compress: true
+    })
+
+    for (const text of ['1', '2', '3']) {
+      writer.write(line(text))
+      await writer.flush()
+    }
+
+    expect(listFiles()).toEqual([
+      'bridge.log',
+      'bridge.log.1.gz',
+      'bridge.log.2.gz'
+    ])
+    const gunzip = (name) =>
+      zlib.gunzipSync(fs.readFileSync(path.join(logDir, name))).toString()
+    expect(gunzip('bridge.log.1.gz')).toBe(line('2'))
+    expect(gunzip('bridge.log.2.gz')).toBe(line('1'))
+  })
+
+  test('keeps no history with maxFiles 0', async () => {
+    const writer = new LogFileWriter({ file, maxSize: 15, maxFiles: 0 })
+
+    writer.write(line('1'))
+    await writer.flush()
+    writer.write(line('2'))
+    await writer.flush()
+
+    expect(listFiles()).toEqual(['bridge.log'])
+    expect(read('bridge.log')).toBe(line('2'))
+  })
+
+  test('writes after the writer it replaces and flushes with it', async () => {
+    const previous = new LogFileWriter({ file })
+    previous.write(line('old'))
+    const writer = new LogFileWriter({
+      file,
+      maxSize: 15,
+      previous: previous.flush()
+    })
+    writer.write(line('new'))
+
+    await writer.flush()
+
+    expect(read('bridge.log')).toBe(line('new'))
+    expect(read('bridge.log.1')).toBe(line('old'))
+  })
+
+  test('drops lines past the buffer limit and records how many', async () => {
+    const writer = new LogFileWriter({ file, bufferLimit: 20 })
+
+    writer.write(line('a'))
+    writer.write(line('b'))
+    writer.write(line('c'))
+    writer.write(line('d'))
+    await writer.flush()
+
+    expect(read('bridge.log')).toMatch(
+      new RegExp(
+        `^${line('a')}${line('b')}.*\\[WARN\\] \\[IPC-BRIDGE\\] Dropped 2 log lines while writing was behind\\n$`
+      )
+    )
+  })
+
+  test('reports write errors on stderr and keeps going', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    const appendFile = jest
+      .spyOn(fs.promises, 'appendFile')
+      .mockRejectedValueOnce(new Error('disk full'))
+    const writer = new LogFileWriter({ file })
+
+    writer.write(line('lost'))
+    await writer.flush()
+    writer.write(line('kept'))
+    await writer.flush()
+
+    expect(console.error).toHaveBeenCalledWith('Failed to write log: disk full')
+    expect(read('bridge.log')).toBe(line('kept'))
+    appendFile.mockRestore()
+    console.error.mockRestore()
+  })
+})
@@ -0,0 +1,155 @@
+/**
+ * @typedef {Object} ParamsSchema
+ * @property {'string'|'number'|'integer'|'boolean'|'object'|'array'|'any'} [type] - Expected type (defaults to 'any', or 'object' at the root)
+ * @property {boolean} [required] - Property must be present (object properties only)
+ * @property {number} [minLength] - Minimum string length
+ * @property {number} [maxLength] - Maximum string length
+ * @property {number} [min] - Minimum number value
+ * @property {number} [max] - Maximum number value
+ * @property {number} [minItems] - Minimum array length
+ * @property {number} [maxItems] - Maximum array length
+ * @property {number} [maxSize] - Maximum JSON-encoded size in bytes
+ * @property {Array<string|number|boolean>} [enum] - Allowed values
+ * @property {Record<string, ParamsSchema>} [properties] - Object property schemas
+ * @property {boolean} [stripUnknown] - Drop object properties not listed in `properties`
+ * @property {ParamsSchema} [items] - Schema for every array item
+ */
+
+/**
+ * @typedef {Object} ParamsValidationResult
+ * @property {boolean} valid
+ * @property {Object} [params] - Validated params with unknown keys stripped
+ * @property {{path: string, message: string}} [error] - First violation found
+ */
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+/**
+ * @param {*} value
+ * @returns {number}
+ */
+const byteSize = (value) =>
+  value === undefined ? 0 : Buffer.byteLength(JSON.stringify(value))
+
+/**
+ * @param {string} type
+ * @param {*} value
+ * @returns {boolean}
+ */
+const matchesType = (type, value) => {
+  switch (type) {
+    case 'any':
+      return true
+    case 'integer':
+      return Number.isInteger(value)
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value)
+    default:
+      return typeOf(value) === type
+  }
+}
+
+/**
+ * @param {ParamsSchema} schema
+ * @param {*} value
+ * @param {string} path
+ * @returns {{value?: *, error?: {path: string, message: string}}}
+ */
+const check = (schema, value, path) => {
+  const fail = (message) => ({ error: { path, message } })
+  const type = schema.type || 'any'
+
+  if (!matchesType(type, value)) {
+    return fail(`expected ${type}, got ${typeOf(value)}`)
+  }
+
+  if (schema.maxSize !== undefined && byteSize(value) > schema.maxSize) {
+    return fail(`exceeds ${schema.maxSize} bytes`)
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of ${schema.enum.join(', ')}`)
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return fail(`must be at least ${schema.minLength} characters`)
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail(`must be at most ${schema.maxLength} characters`)
+    }
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (schema.min !== undefined && value < schema.min) {
+      return fail(`must be >= ${schema.min}`)
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      return fail(`must be <= ${schema.max}`)
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail(`must have at least ${schema.minItems} items`)
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(`must have at most ${schema.maxItems} items`)
+    }
+    if (schema.items) {
+      const items = []
+      for (let i = 0; i < value.length; i++) {
+        const result = check(schema.items, value[i], `${path}[${i}]`)
+        if (result.error) return result
+        items.push(result.value)
+      }
+      return { value: items }
+    }
+  }
+
+  if (type === 'object' && (schema.properties || schema.stripUnknown)) {
+    const properties = schema.properties || {}
+    const output = schema.stripUnknown ? {} : { ...value }
+
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      const propertyPath = `${path}.${key}`
+      if (value[key] === undefined) {
+        if (propertySchema.required) {
+          return { error: { path: propertyPath, message: 'is required' } }
+        }
+        continue
+      }
+      const result = check(propertySchema, value[key], propertyPath)
+      if (result.error) return result
+      output[key] = result.value
+    }
+
+    return { value: output }
+  }
+
+  return { value }
+}
+
+/**
+ * Validate command params against a schema. The root is always an object.
+ * @param {ParamsSchema} schema
+ * @param {Object} params
+ * @returns {ParamsValidationResult}
+ */
+export const validateParams = (schema, params) => {
+  const result = check({ type: 'object', ...schema }, params, 'params')
+
+  if (result.error) {
+    return { valid: false, error: result.error }
+  }
+
+  return { valid: true, params: result.value }
+}
@@ -0,0 +1,81 @@
+import { validateParams } from './validateParams'
+
+describe('validateParams', () => {
+  const schema = {
+    properties: {
+      vaultId: { type: 'string', required: true, minLength: 1, maxLength: 8 },
+      limit: { type: 'integer', min: 1, max: 100 },
+      enabled: { type: 'boolean' },
+      mode: { type: 'string', enum: ['read', 'write'] },
+      tags: { type: 'array', maxItems: 2, items: { type: 'string' } },
+      record: {
+        type: 'object',
+        maxSize: 32,
+        properties: { name: { type: 'string', required: true } },
+        stripUnknown: true
+      }
+    },
+    stripUnknown: true
+  }
+
+  it('accepts valid params and strips unknown keys', () => {
+    const result = validateParams(schema, {
+      vaultId: 'v1',
+      limit: 10,
+      tags: ['a'],
+      record: { name: 'n', extra: 1 },
+      leaked: 'secret'
+    })
+    expect(result).toEqual({
+      valid: true,
+      params: {
+        vaultId: 'v1',
+        limit: 10,
+        tags: ['a'],
+        record: { name: 'n' }
+      }
+    })
+  })
+
+  it('keeps unknown keys when stripUnknown is not set', () => {
+    const result = validateParams(
+      { properties: { a: { type: 'string' } } },
+      { a: 'x', b: 1 }
+    )
+    expect(result.params).toEqual({ a: 'x', b: 1 })
+  })
+
+  it.each([
+    [{}, 'params.vaultId', 'is required'],
+    [{ vaultId: 5 }, 'params.vaultId', 'expected string, got number'],
+    [{ vaultId: '' }, 'params.vaultId', 'must be at least 1 characters'],
+    [{ vaultId: 'too-long-id' }, 'params.vaultId', 'must be at most 8'],
+    [{ vaultId: 'v', limit: 1.5 }, 'params.limit', 'expected integer'],
+    [{ vaultId: 'v', limit: 0 }, 'params.limit', 'must be >= 1'],
+    [{ vaultId: 'v', enabled: 'yes' }, 'params.enabled', 'expected boolean'],
+    [{ vaultId: 'v', mode: 'admin' }, 'params.mode', 'must be one of read'],
+    [{ vaultId: 'v', tags: ['a', 'b', 'c'] }, 'params.tags', 'at most 2'],
+    [{ vaultId: 'v', tags: ['a', 1] }, 'params.tags[1]', 'expected string'],
+    [{ vaultId: 'v', record: {} }, 'params.record.name', 'is required'],
+    [
+      { vaultId: 'v', record: { name: 'x'.repeat(40) } },
+      'params.record',
+      'exceeds 32 bytes'
+    ]
+  ])('rejects %j at %s', (params, path, message) => {
+    const result = validateParams(schema, params)
+    expect(result.valid).toBe(false)
+    expect(result.error.path).toBe(path)
+    expect(result.error.message).toContain(message)
+  })
+
+  it('requires the root params to be an object', () => {
+    expect(validateParams({}, 'abc').error).toEqual({
+      path: 'params',
+      message: 'expected object, got string'
+    })
+    expect(validateParams({}, [1]).error.message).toBe(
+      'expected object, got array'
+    )
+  })
+})